@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * quest
+ *
+ * Inspect and run Quest jobs from the command line, e.g. `npx quest list`
+ */
+
+const { main } = require('../lib/cli')
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code
+})
@@ -0,0 +1,78 @@
+/**
+ * child.js
+ *
+ * Preloaded (via NODE_OPTIONS --require) into `sails run` processes spawned by
+ * Quest. `sails run` only prints a script's result, so this wraps the script's
+ * `fn` before `sails run` loads it and sends the result back to Quest over IPC.
+ */
+
+const tracing = require('./core/tracing')
+const { isAnalog } = require('./core/machine')
+
+const scriptPath = process.env.QUEST_SCRIPT_PATH
+
+if (scriptPath && typeof process.send === 'function') {
+  // Don't let the IPC channel keep the process alive
+  process.channel.unref()
+
+  const def = require(scriptPath)
+  const fn = def && def.fn
+
+  const sendResult = (output) => {
+    try {
+      process.send({ type: 'quest:result', output })
+    } catch (err) {
+      // Results that can't be serialized are dropped rather than failing the job
+    }
+  }
+
+  // Run the script within the trace Quest passed in TRACEPARENT, so its spans
+  // (e.g. database queries) join the run's trace when the app has an OTel SDK
+  const traced = (run) =>
+    process.env.TRACEPARENT
+      ? tracing.withRemoteContext(process.env, run)
+      : run()
+
+  const wrapExits = (exits) =>
+    new Proxy(exits, {
+      get(target, prop) {
+        if (prop !== 'success') return target[prop]
+        return (output) => {
+          sendResult(output)
+          return target.success(output)
+        }
+      }
+    })
+
+  if (typeof fn === 'function') {
+    const isAsync = fn.constructor.name === 'AsyncFunction'
+    // Call `fn` the way `sails run` will, with or without exits
+    const analog = isAnalog(def)
+
+    if (isAsync && analog) {
+      def.fn = async function (inputs, exits, env) {
+        const output = await traced(() =>
+          fn.call(this, inputs, wrapExits(exits), env)
+        )
+        if (output !== undefined) sendResult(output)
+        return output
+      }
+    } else if (isAsync) {
+      def.fn = async function (inputs) {
+        const output = await traced(() => fn.call(this, inputs))
+        if (output !== undefined) sendResult(output)
+        return output
+      }
+    } else if (analog) {
+      def.fn = function (inputs, exits, env) {
+        return traced(() => fn.call(this, inputs, wrapExits(exits), env))
+      }
+    } else {
+      def.fn = function (inputs) {
+        const output = traced(() => fn.call(this, inputs))
+        if (output !== undefined) sendResult(output)
+        return output
+      }
+    }
+  }
+}
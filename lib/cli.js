@@ -0,0 +1,512 @@
+/**
+ * cli.js
+ *
+ * The `quest` command: list jobs, preview their schedules, validate job
+ * definitions and run a job once, all without lifting the app
+ */
+
+const fs = require('fs')
+const path = require('path')
+const _ = require('@sailshq/lodash')
+const loader = require('./core/loader')
+const scheduler = require('./core/scheduler')
+const executor = require('./core/executor')
+const scheduled = require('./core/scheduled')
+
+const USAGE = `Usage: quest <command> [options]
+
+Commands:
+  list                      List jobs with their schedules and next run times
+  next <job> [--count=5]    Show a job's next run times
+  run <job> [--input key=value ...] [--inputs '{"key": "value"}']
+                            Run a job once via \`sails run\` and wait for it
+  validate                  Check config/quest.js and the quest blocks in scripts
+
+Options:
+  --app <path>              App directory (defaults to the current directory)
+  --env <name>              Environment whose config to load (defaults to NODE_ENV or development)
+  --json                    Print JSON instead of a table (list and next)`
+
+// Options that never take a value, so `--json a` leaves `a` as an argument
+const BOOLEAN_OPTIONS = ['json', 'help']
+
+/**
+ * Run the CLI
+ * @param {Array<String>} argv - Arguments after the command name
+ * @returns {Promise<Number>} Exit code
+ */
+async function main(argv = []) {
+  const { positional, options } = parseArgs(argv)
+  const [command, ...args] = positional
+
+  if (!command || command === 'help' || options.help) {
+    console.log(USAGE)
+    return command || options.help ? 0 : 1
+  }
+
+  const commands = { list, next, run, validate }
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`)
+    return 1
+  }
+
+  try {
+    const config = loadConfig(options)
+    return await commands[command](args, options, config)
+  } catch (err) {
+    console.error(err.message)
+    return 1
+  }
+}
+
+/**
+ * Parse command line arguments
+ * `--name=value` and `--name value` set options, bare `--name` and boolean
+ * options (like --json) set true and repeated options (like --input) are
+ * collected into an array
+ * @param {Array<String>} argv - Arguments
+ * @returns {Object} positional arguments and options
+ */
+function parseArgs(argv) {
+  const positional = []
+  const options = {}
+
+  const set = (key, value) => {
+    if (options[key] === undefined) {
+      options[key] = value
+    } else {
+      options[key] = [].concat(options[key], value)
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+
+    const [key, ...rest] = arg.slice(2).split('=')
+    if (rest.length) {
+      set(key, rest.join('='))
+    } else if (
+      !BOOLEAN_OPTIONS.includes(key) &&
+      argv[i + 1] !== undefined &&
+      !argv[i + 1].startsWith('--')
+    ) {
+      set(key, argv[++i])
+    } else {
+      set(key, true)
+    }
+  }
+
+  return { positional, options }
+}
+
+/**
+ * Load the Quest configuration of an app without lifting it
+ * Merges the hook's defaults with the `quest` key of config/quest.js, the
+ * environment's config/env/<env>.js and config/local.js, in that order
+ * @param {Object} options - CLI options (app and env)
+ * @returns {Object} Quest configuration
+ */
+function loadConfig(options = {}) {
+  const appPath = path.resolve(
+    typeof options.app === 'string' ? options.app : process.cwd()
+  )
+  const env =
+    typeof options.env === 'string'
+      ? options.env
+      : process.env.NODE_ENV || 'development'
+
+  const { defaults } = require('./index')({})
+  const config = _.cloneDeep(defaults.quest)
+
+  const files = [
+    path.join(appPath, 'config', 'quest.js'),
+    path.join(appPath, 'config', 'env', `${env}.js`),
+    path.join(appPath, 'config', 'local.js')
+  ]
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue
+    const quest = require(file).quest
+    if (quest) {
+      // Lists (like jobs) replace the defaults rather than merging by index
+      _.merge(config, quest, (current, value) =>
+        Array.isArray(value) ? value : undefined
+      )
+    }
+  }
+
+  config.appPath = appPath
+  return config
+}
+
+/**
+ * Load the jobs of an app, including saved one-off jobs where the store can
+ * be read without the ORM
+ * @param {Object} config - Quest configuration
+ * @returns {Promise<Map>} Jobs map
+ */
+async function loadAllJobs(config) {
+  let scheduledStore = null
+  if (config.scheduled && config.scheduled.adapter === 'file') {
+    scheduledStore = scheduled.createStore(config)
+  }
+  return loader.loadJobs(config, new Map(), scheduledStore)
+}
+
+/**
+ * `quest list`: print every job with its next run time
+ * @param {Array<String>} args - Positional arguments
+ * @param {Object} options - CLI options
+ * @param {Object} config - Quest configuration
+ * @returns {Promise<Number>} Exit code
+ */
+async function list(args, options, config) {
+  const jobs = await loadAllJobs(config)
+
+  const rows = Array.from(jobs.values()).map((job) => {
+    const timezone = job.timezone || config.timezone || 'UTC'
+    const nextRun = nextRunOf(job, config)
+    return {
+      name: job.name,
+      script: job.script,
+      schedule: scheduler.describeSchedule(job),
+      timezone,
+      executionMode: job.executionMode,
+      nextRun: nextRun ? nextRun.toISOString() : null,
+      nextRunLocal: nextRun
+        ? scheduler.formatInTimezone(nextRun, timezone)
+        : null
+    }
+  })
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2))
+    return 0
+  }
+
+  if (!rows.length) {
+    console.log('No jobs found')
+    return 0
+  }
+
+  printTable(
+    ['NAME', 'SCHEDULE', 'MODE', 'NEXT RUN'],
+    rows.map((row) => [
+      row.name,
+      row.schedule,
+      row.executionMode,
+      row.nextRunLocal || '-'
+    ])
+  )
+  return 0
+}
+
+/**
+ * Check whether a job has a schedule of its own
+ * @param {Object} job - Job configuration
+ * @returns {Boolean} Whether the job has a schedule
+ */
+function hasSchedule(job) {
+  return Boolean(
+    job.cron ||
+      job.interval !== undefined ||
+      (job.timeout !== undefined && job.timeout !== false) ||
+      job.date
+  )
+}
+
+/**
+ * Get a job's next run time as the scheduler would on lift
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @returns {Date|null} Next run time or null if it won't run on its own
+ */
+function nextRunOf(job, config) {
+  if (!hasSchedule(job)) return null
+  // One-off jobs whose date has passed run as soon as the app lifts
+  if (job.dynamic && new Date(job.date) <= new Date()) return new Date()
+  return scheduler.getNextRunTime(job, config)
+}
+
+/**
+ * `quest next <job>`: print a job's next run times
+ * @param {Array<String>} args - Positional arguments (job name)
+ * @param {Object} options - CLI options (count)
+ * @param {Object} config - Quest configuration
+ * @returns {Promise<Number>} Exit code
+ */
+async function next([name], options, config) {
+  if (!name) {
+    console.error('Usage: quest next <job> [--count=5]')
+    return 1
+  }
+
+  const jobs = await loadAllJobs(config)
+  const job = jobs.get(name)
+  if (!job) {
+    console.error(`Job "${name}" not found`)
+    return 1
+  }
+
+  const count = options.count ? parseInt(options.count, 10) : 5
+  if (!Number.isInteger(count) || count < 1) {
+    console.error(`Invalid --count "${options.count}"`)
+    return 1
+  }
+
+  const times = scheduler.previewSchedule(job, config, count)
+
+  if (options.json) {
+    console.log(JSON.stringify(times, null, 2))
+    return 0
+  }
+
+  console.log(`${job.name}: ${scheduler.describeSchedule(job)}`)
+  if (!times.length) {
+    console.log('No upcoming runs')
+    return 0
+  }
+  printTable(
+    ['#', 'LOCAL', 'UTC'],
+    times.map((time, i) => [String(i + 1), time.local, time.date.toISOString()])
+  )
+  return 0
+}
+
+/**
+ * `quest run <job>`: run a job once via `sails run`
+ * Inputs are merged like scheduled runs: job inputs, then the script's
+ * defaults, then --input and --inputs
+ * @param {Array<String>} args - Positional arguments (job name)
+ * @param {Object} options - CLI options (input and inputs)
+ * @param {Object} config - Quest configuration
+ * @returns {Promise<Number>} Exit code
+ */
+async function run([name], options, config) {
+  if (!name) {
+    console.error('Usage: quest run <job> [--input key=value ...]')
+    return 1
+  }
+
+  const inputs = parseInputs(options)
+  const jobs = await loadAllJobs(config)
+
+  // Plain scripts without a quest block can be run too, like sails.quest.run()
+  const job = jobs.get(name) || {
+    name,
+    inputs: {},
+    scriptInputs: loader.extractScriptInputDefaults(
+      loadScriptInputs(name, config)
+    )
+  }
+
+  // Always spawn `sails run`: inline and pooled runs need a lifted app.
+  // Output goes straight to the terminal.
+  const runConfig = {
+    ...config,
+    output: { ...config.output, capture: false }
+  }
+  const context = { config: runConfig, running: new Map() }
+
+  try {
+    const outcome = await executor.executeJob(
+      name,
+      { ...job, paused: false, executionMode: 'process' },
+      inputs,
+      context,
+      { trigger: 'manual' }
+    )
+    if (outcome.result !== undefined) {
+      console.log(JSON.stringify(outcome.result, null, 2))
+    }
+    console.error(
+      `Job "${name}" completed in ${outcome.duration}ms (${outcome.attempts} attempt(s))`
+    )
+    return 0
+  } catch (err) {
+    console.error(`Job "${name}" failed: ${err.message}`)
+    return 1
+  }
+}
+
+/**
+ * Read a script's inputs definition
+ * @param {String} name - Script name
+ * @param {Object} config - Quest configuration
+ * @returns {Object} Inputs definition, or an empty object
+ */
+function loadScriptInputs(name, config) {
+  try {
+    return require(loader.getScriptPath(name, config)).inputs || {}
+  } catch (err) {
+    // The executor reports missing scripts
+    return {}
+  }
+}
+
+/**
+ * Build the inputs of a CLI run from --inputs (JSON) and --input key=value
+ * Values of --input are parsed as JSON when they can be (numbers, booleans,
+ * objects) and kept as strings otherwise
+ * @param {Object} options - CLI options
+ * @returns {Object} Inputs
+ */
+function parseInputs(options) {
+  const inputs = {}
+
+  for (const json of [].concat(options.inputs || [])) {
+    let parsed
+    try {
+      parsed = JSON.parse(json)
+    } catch (err) {
+      throw new Error(`Invalid --inputs: ${err.message}`)
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Invalid --inputs: Expected a JSON object')
+    }
+    Object.assign(inputs, parsed)
+  }
+
+  for (const pair of [].concat(options.input || [])) {
+    const index = typeof pair === 'string' ? pair.indexOf('=') : -1
+    if (index < 1) {
+      throw new Error(`Invalid --input "${pair}". Use --input key=value.`)
+    }
+    const value = pair.slice(index + 1)
+    try {
+      inputs[pair.slice(0, index)] = JSON.parse(value)
+    } catch (err) {
+      inputs[pair.slice(0, index)] = value
+    }
+  }
+
+  return inputs
+}
+
+/**
+ * `quest validate`: check every job definition, reporting all problems
+ * @param {Array<String>} args - Positional arguments
+ * @param {Object} options - CLI options
+ * @param {Object} config - Quest configuration
+ * @returns {Promise<Number>} Exit code (1 if any job is invalid)
+ */
+async function validate(args, options, config) {
+  const errors = []
+  const jobs = new Map()
+  const configJobs = new Map()
+
+  // Jobs in config/quest.js
+  const seen = new Set()
+  for (const jobDef of config.jobs || []) {
+    const def = typeof jobDef === 'string' ? { name: jobDef } : jobDef
+    if (seen.has(def.name)) {
+      errors.push(`config/quest.js: Duplicate job name "${def.name}"`)
+      continue
+    }
+    seen.add(def.name)
+
+    try {
+      configJobs.set(def.name, loader.addJobDefinition(def, jobs, config))
+    } catch (err) {
+      errors.push(`config/quest.js: ${err.message}`)
+    }
+  }
+
+  // Quest blocks in scripts, required one by one so a broken script doesn't
+  // hide the others
+  const scriptsPath = path.resolve(config.appPath, config.scriptsDir)
+  const files = fs.existsSync(scriptsPath)
+    ? fs.readdirSync(scriptsPath).filter((file) => file.endsWith('.js'))
+    : []
+  let scriptJobs = 0
+  for (const file of files) {
+    const scriptName = file.replace(/\.js$/, '')
+    let scriptDef
+    try {
+      scriptDef = require(path.join(scriptsPath, file))
+    } catch (err) {
+      errors.push(`${config.scriptsDir}/${file}: ${err.message}`)
+      continue
+    }
+    if (!scriptDef || !scriptDef.quest) continue
+
+    scriptJobs++
+    try {
+      const name = scriptDef.quest.name || scriptName
+      loader.addJobDefinition(
+        loader.buildScriptJobDefinition(
+          scriptName,
+          scriptDef,
+          configJobs.get(name)
+        ),
+        jobs,
+        config
+      )
+    } catch (err) {
+      errors.push(`${config.scriptsDir}/${file}: ${err.message}`)
+    }
+  }
+
+  // Config jobs need a script to run
+  for (const name of configJobs.keys()) {
+    const job = jobs.get(name)
+    try {
+      loader.getScriptPath(job.script, config)
+    } catch (err) {
+      errors.push(`config/quest.js: ${err.message}`)
+    }
+  }
+
+  // Chained jobs must exist
+  for (const job of jobs.values()) {
+    for (const link of [...job.after, ...job.onSuccess, ...job.onFailure]) {
+      if (!jobs.has(link.name) && !files.includes(`${link.name}.js`)) {
+        errors.push(`Job "${job.name}": Links to unknown job "${link.name}"`)
+      }
+    }
+  }
+
+  if (errors.length) {
+    for (const error of errors) {
+      console.error(`✗ ${error}`)
+    }
+    console.error(`\n${errors.length} problem(s) found`)
+    return 1
+  }
+
+  console.log(
+    `✓ ${jobs.size} job(s) valid (${configJobs.size} from config/quest.js, ${scriptJobs} from ${config.scriptsDir})`
+  )
+  return 0
+}
+
+/**
+ * Print rows as a table with aligned columns
+ * @param {Array<String>} headers - Column headers
+ * @param {Array<Array<String>>} rows - Rows of cells
+ */
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...rows.map((row) => String(row[i]).length))
+  )
+  const format = (cells) =>
+    cells
+      .map((cell, i) => String(cell).padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+
+  console.log(format(headers))
+  for (const row of rows) {
+    console.log(format(row))
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  parseInputs,
+  loadConfig
+}
@@ -0,0 +1,348 @@
+/**
+ * core/admin.js
+ *
+ * Opt-in HTTP routes for seeing and controlling jobs from the browser: a JSON
+ * API and a small dashboard on top of it, mounted under `admin.prefix`.
+ * Every request must pass the configured policies and `authorize` callback,
+ * and requests that change jobs must carry a CSRF token.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const scheduler = require('./scheduler')
+const jobControl = require('./job-control')
+const history = require('./history')
+const runs = require('./runs')
+
+const DASHBOARD_PATH = path.resolve(__dirname, '..', 'dashboard.html')
+
+/**
+ * Build the admin routes, keyed by Sails route address
+ * @param {Object} adminConfig - Quest admin configuration
+ * @param {Object} context - Context with jobs, timers and running maps and the Quest API helpers
+ * @returns {Object} Route address to handler
+ */
+function buildRoutes(adminConfig = {}, context = {}) {
+  const prefix = normalizePrefix(adminConfig.prefix)
+  const guard = (handler) => createGuard(handler, adminConfig, context)
+
+  return {
+    [`GET ${prefix}`]: guard((req, res) => {
+      res.set('Content-Type', 'text/html; charset=utf-8')
+      return res.send(renderDashboard(prefix, getCsrfToken(req)))
+    }),
+
+    [`GET ${prefix}/api/csrf-token`]: guard((req, res) =>
+      res.json({ _csrf: getCsrfToken(req) })
+    ),
+
+    [`GET ${prefix}/api/jobs`]: guard((req, res) =>
+      res.json(
+        Array.from(context.jobs.values()).map((job) =>
+          serializeJob(job, context)
+        )
+      )
+    ),
+
+    [`GET ${prefix}/api/jobs/:name`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+
+      return res.json({
+        ...serializeJob(job, context),
+        inputs: job.inputs,
+        upcoming: job.paused
+          ? []
+          : scheduler.previewSchedule(job, context.config, 5)
+      })
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/run`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+
+      const inputs = (req.body && req.body.inputs) || {}
+      if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+        return res.status(400).json({ error: 'inputs must be an object' })
+      }
+
+      // Respond straight away; the run's outcome shows up in its events and history
+      context
+        .executeJob(job.name, inputs, { trigger: 'manual' })
+        .catch((err) => {
+          if (global.sails) {
+            sails.log.error(`Error running job "${job.name}":`, err)
+          }
+        })
+      return res.status(202).json({ name: job.name, inputs })
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/pause`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+      jobControl.pauseJob(job.name, context.jobs)
+      return res.json(serializeJob(job, context))
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/resume`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+      jobControl.resumeJob(job.name, context.jobs)
+      return res.json(serializeJob(job, context))
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/start`]: guard(async (req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+      await jobControl.startJobs(job.name, context)
+      return res.json(serializeJob(job, context))
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/stop`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+      jobControl.stopJobs(job.name, context)
+      return res.json(serializeJob(job, context))
+    }),
+
+    [`POST ${prefix}/api/jobs/:name/cancel`]: guard((req, res) => {
+      const job = findJob(req, res, context)
+      if (!job) return
+
+      const { runId, signal } = req.body || {}
+      const active = runs
+        .listRuns(context.running, job.name)
+        .filter((run) => !runId || run.runId === runId)
+      if (!active.length) {
+        return res.status(409).json({
+          error: runId
+            ? `Run "${runId}" of job "${job.name}" is not in progress`
+            : `Job "${job.name}" has no runs in progress`
+        })
+      }
+
+      // Respond straight away; cancelled runs emit quest:job:cancelled as they end
+      try {
+        context.cancel(runId || job.name, { signal })
+      } catch (err) {
+        return res.status(400).json({ error: err.message })
+      }
+      return res.status(202).json({
+        name: job.name,
+        runIds: active.map((run) => run.runId)
+      })
+    }),
+
+    [`GET ${prefix}/api/runs`]: guard(async (req, res) => {
+      if (!context.historyModel) {
+        return res.json({ enabled: false, runs: [] })
+      }
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200)
+      const runs = await history.getHistory(req.query.name, { limit }, context)
+      return res.json({ enabled: true, runs })
+    })
+  }
+}
+
+/**
+ * Wrap a handler so it only runs for authorized requests once Quest has started
+ * @param {Function} handler - Route handler (req, res)
+ * @param {Object} adminConfig - Quest admin configuration
+ * @param {Object} context - Context with config
+ * @returns {Function} Route handler (req, res)
+ */
+function createGuard(handler, adminConfig, context) {
+  const policies = [].concat(adminConfig.policies || [])
+
+  return (req, res) => {
+    const fail = (err) => {
+      if (global.sails) {
+        sails.log.error('Quest admin request failed:', err)
+      }
+      return res.status(500).json({ error: err.message })
+    }
+
+    if (!policies.length && typeof adminConfig.authorize !== 'function') {
+      return res.status(403).json({
+        error:
+          'Quest admin routes need config.quest.admin.authorize or admin.policies'
+      })
+    }
+
+    // The routes are bound before the ORM (and so Quest) has loaded
+    if (!context.config) {
+      return res.status(503).json({ error: 'Quest has not started yet' })
+    }
+
+    if (!checkCsrfToken(req)) {
+      return res.status(403).json({ error: 'Invalid or missing CSRF token' })
+    }
+
+    runPolicies(policies, req, res, async () => {
+      try {
+        if (typeof adminConfig.authorize === 'function') {
+          const allowed = await adminConfig.authorize(req)
+          if (!allowed) {
+            return res.status(403).json({ error: 'Forbidden' })
+          }
+        }
+        await handler(req, res)
+      } catch (err) {
+        fail(err)
+      }
+    }).catch(fail)
+  }
+}
+
+/**
+ * Check whether Sails' own CSRF protection is on
+ * @returns {Boolean} Whether Sails checks CSRF tokens itself
+ */
+function sailsChecksCsrf() {
+  return Boolean(global.sails && sails.config.security?.csrf)
+}
+
+/**
+ * Get the CSRF token of the request's session, creating it the first time
+ * @param {Object} req - Request
+ * @returns {String|null} Token, or null when Sails issues tokens itself or there is no session
+ */
+function getCsrfToken(req) {
+  if (sailsChecksCsrf() || !req.session) return null
+
+  if (!req.session.questCsrfToken) {
+    req.session.questCsrfToken = crypto.randomBytes(24).toString('base64url')
+  }
+  return req.session.questCsrfToken
+}
+
+/**
+ * Check that a request changing jobs didn't come from another site
+ * Sails checks its own token when its CSRF protection is on. Otherwise the
+ * request needs the session's token in `X-CSRF-Token` or `_csrf`, unless it
+ * is authenticated by an Authorization header, which other pages can't send.
+ * @param {Object} req - Request
+ * @returns {Boolean} Whether the request may go ahead
+ */
+function checkCsrfToken(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return true
+  if (sailsChecksCsrf() || req.headers?.authorization) return true
+
+  const expected = req.session?.questCsrfToken
+  const token = req.headers?.['x-csrf-token'] || req.body?._csrf
+  if (!expected || typeof token !== 'string') return false
+
+  const a = Buffer.from(token)
+  const b = Buffer.from(expected)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Run app policies in order, like Sails does for actions
+ * A policy that responds without calling next() ends the request there
+ * @param {Array<String>} names - Policy names (e.g. 'is-super-admin')
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} done - Called once every policy has passed
+ * @returns {Promise} Resolves once the policies have been started
+ */
+async function runPolicies(names, req, res, done) {
+  const middleware = (global.sails && sails.hooks.policies?.middleware) || {}
+
+  const runAt = async (index) => {
+    if (index >= names.length) return done()
+
+    const policy = middleware[names[index].toLowerCase()]
+    if (!policy) {
+      throw new Error(`Quest admin policy "${names[index]}" was not found`)
+    }
+    await policy(req, res, () => runAt(index + 1))
+  }
+
+  return runAt(0)
+}
+
+/**
+ * Look up the job named in the route, responding 404 if there isn't one
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} context - Context with jobs map
+ * @returns {Object|null} Job
+ */
+function findJob(req, res, context) {
+  const job = context.jobs.get(req.params.name)
+  if (!job) {
+    res.status(404).json({ error: `Job "${req.params.name}" not found` })
+    return null
+  }
+  return job
+}
+
+/**
+ * Describe a job and its current state for the API
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with timers and running maps and config
+ * @returns {Object} Job summary
+ */
+function serializeJob(job, context = {}) {
+  const { timers = new Map(), running = new Map(), config = {} } = context
+  const scheduled = timers.has(job.name)
+  const active = runs.listRuns(running, job.name)
+  const nextRun = scheduled ? scheduler.getNextRunTime(job, config) : null
+
+  return {
+    name: job.name,
+    friendlyName: job.friendlyName,
+    description: job.description,
+    schedule: scheduler.describeSchedule(job),
+    timezone: job.timezone || config.timezone || 'UTC',
+    executionMode: job.executionMode,
+    group: job.group,
+    dynamic: job.dynamic,
+    paused: job.paused,
+    scheduled,
+    expired: Boolean(job.expired),
+    runCount: job.runCount,
+    maxRuns: job.maxRuns,
+    expectSuccessWithin: job.expectSuccessWithin,
+    running: active.length > 0,
+    runningSince: active.length ? new Date(active[0].startedAt) : null,
+    runs: active.map(({ runId, startedAt, pid, attempt }) => ({
+      runId,
+      startedAt: new Date(startedAt),
+      pid,
+      attempt
+    })),
+    nextRun
+  }
+}
+
+/**
+ * Render the dashboard page
+ * @param {String} prefix - Route prefix the API lives under
+ * @param {String|null} csrfToken - Token for the page's POST requests
+ * @returns {String} HTML
+ */
+function renderDashboard(prefix, csrfToken) {
+  return fs
+    .readFileSync(DASHBOARD_PATH, 'utf8')
+    .replace('__QUEST_PREFIX__', JSON.stringify(prefix))
+    .replace('__QUEST_CSRF__', JSON.stringify(csrfToken))
+}
+
+/**
+ * Normalize the route prefix to a leading slash and no trailing slash
+ * @param {String} prefix - Configured prefix
+ * @returns {String} Prefix
+ */
+function normalizePrefix(prefix = '/quest') {
+  const trimmed = String(prefix).replace(/^\/+|\/+$/g, '')
+  return `/${trimmed}`
+}
+
+module.exports = {
+  buildRoutes,
+  serializeJob
+}
@@ -0,0 +1,231 @@
+/**
+ * core/calendar.js
+ *
+ * Functions for normalizing the days and time windows a job must not run in:
+ * `skipDates`, `excludeWindows` and holiday `calendars` (lists or ICS files)
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+// Longest multi-day ICS event expanded into individual dates
+const MAX_EVENT_DAYS = 366
+
+/**
+ * Normalize a date into a YYYY-MM-DD day
+ * Date objects use their UTC date, so `new Date('2026-12-25')` is Christmas
+ * @param {String|Date} value - Day as YYYY-MM-DD or a Date
+ * @returns {String|null} Day or null if invalid
+ */
+function normalizeDay(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10)
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return isNaN(new Date(value).getTime()) ? null : value
+  }
+  return null
+}
+
+/**
+ * Normalize a list of days
+ * @param {Array} days - Days as YYYY-MM-DD strings or Dates
+ * @param {String} source - What the days came from (for error messages)
+ * @returns {Array<String>} Days as YYYY-MM-DD
+ */
+function normalizeDays(days, source) {
+  if (!Array.isArray(days)) {
+    throw new Error(`${source}: Expected a list of dates`)
+  }
+  return days.map((value) => {
+    const day = normalizeDay(value)
+    if (!day) {
+      throw new Error(`${source}: Invalid date "${value}". Use YYYY-MM-DD.`)
+    }
+    return day
+  })
+}
+
+/**
+ * Extract the days covered by the events in an ICS file
+ * All-day events cover every day up to their (exclusive) DTEND; timed events
+ * cover the day they start. Recurring events (RRULE) are not expanded.
+ * @param {String} text - ICS file contents
+ * @returns {Array<String>} Days as YYYY-MM-DD
+ */
+function parseIcs(text) {
+  const days = []
+
+  // Long lines are folded onto continuation lines starting with whitespace
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+
+  let event = null
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {}
+      continue
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        days.push(...expandEvent(event))
+      }
+      event = null
+      continue
+    }
+    if (!event) continue
+
+    const match = line.match(/^(DTSTART|DTEND)(;[^:]*)?:(\d{8})(T\d{6}Z?)?/)
+    if (match) {
+      const key = match[1] === 'DTSTART' ? 'start' : 'end'
+      event[key] =
+        `${match[3].slice(0, 4)}-${match[3].slice(4, 6)}-${match[3].slice(6, 8)}`
+      event[`${key}IsDate`] = !match[4]
+    }
+  }
+
+  return days
+}
+
+/**
+ * List the days an ICS event covers
+ * @param {Object} event - Event with start, end and whether they are dates
+ * @returns {Array<String>} Days as YYYY-MM-DD
+ */
+function expandEvent(event) {
+  if (!event.startIsDate || !event.end || !event.endIsDate) {
+    return [event.start]
+  }
+
+  const days = []
+  const day = new Date(event.start)
+  const end = new Date(event.end)
+  while (day < end && days.length < MAX_EVENT_DAYS) {
+    days.push(day.toISOString().slice(0, 10))
+    day.setUTCDate(day.getUTCDate() + 1)
+  }
+  return days.length ? days : [event.start]
+}
+
+/**
+ * Load the days of a configured calendar
+ * @param {String} name - Calendar name in `config.quest.calendars`
+ * @param {Object} config - Quest configuration
+ * @returns {Array<String>} Days as YYYY-MM-DD
+ */
+function loadCalendar(name, config = {}) {
+  const calendars = config.calendars || {}
+  const calendar = calendars[name]
+  if (!calendar) {
+    throw new Error(
+      `Quest calendar "${name}" was not found. Add it to config.quest.calendars.`
+    )
+  }
+
+  // A plain list of dates
+  if (Array.isArray(calendar)) {
+    return normalizeDays(calendar, `Calendar "${name}"`)
+  }
+
+  const days = calendar.dates
+    ? normalizeDays(calendar.dates, `Calendar "${name}"`)
+    : []
+
+  if (calendar.ics) {
+    const icsPath = path.resolve(config.appPath || process.cwd(), calendar.ics)
+    let text
+    try {
+      text = fs.readFileSync(icsPath, 'utf8')
+    } catch (err) {
+      throw new Error(
+        `Calendar "${name}": Could not read ${calendar.ics} (${err.message})`
+      )
+    }
+    days.push(...parseIcs(text))
+  }
+
+  return days
+}
+
+/**
+ * Collect every day a job must skip, from `skipDates` and its calendars
+ * @param {Object} jobDef - Job definition
+ * @param {Object} config - Quest configuration
+ * @returns {Array<String>} Sorted, unique days as YYYY-MM-DD
+ */
+function resolveSkipDates(jobDef, config = {}) {
+  const days = jobDef.skipDates
+    ? normalizeDays(jobDef.skipDates, `Job "${jobDef.name}": skipDates`)
+    : []
+
+  const calendars = [].concat(jobDef.calendar || [])
+  for (const name of calendars) {
+    days.push(...loadCalendar(name, config))
+  }
+
+  return Array.from(new Set(days)).sort()
+}
+
+/**
+ * Normalize a job's exclusion windows
+ * @param {Array<Object>} windows - Windows as { start: 'HH:MM', end: 'HH:MM', days }
+ * @param {String} jobName - Job name (for error messages)
+ * @returns {Array<Object>} Windows with start, end and days (weekday numbers or null for every day)
+ */
+function normalizeWindows(windows, jobName) {
+  if (windows === undefined || windows === null) return []
+
+  const list = Array.isArray(windows) ? windows : [windows]
+  return list.map((window) => {
+    const { start, end, days } = window || {}
+    if (!isTimeOfDay(start) || !isTimeOfDay(end) || start === end) {
+      throw new Error(
+        `Job "${jobName}": Invalid excludeWindows entry. Use { start: 'HH:MM', end: 'HH:MM' } with different times.`
+      )
+    }
+
+    return {
+      start,
+      end,
+      days: days ? [].concat(days).map((day) => toWeekday(day, jobName)) : null
+    }
+  })
+}
+
+/**
+ * Check for a HH:MM time of day
+ * @param {String} value - Value to check
+ * @returns {Boolean} Whether the value is a valid time
+ */
+function isTimeOfDay(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})$/)
+  if (!match) return false
+  const [hours, minutes] = [Number(match[1]), Number(match[2])]
+  return minutes < 60 && (hours < 24 || (hours === 24 && minutes === 0))
+}
+
+/**
+ * Convert a weekday name or number into a number (0 = Sunday)
+ * @param {String|Number} day - 'mon', 'Monday' or 1
+ * @param {String} jobName - Job name (for error messages)
+ * @returns {Number} Weekday number
+ */
+function toWeekday(day, jobName) {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) return day
+
+  const index = WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase())
+  if (index === -1) {
+    throw new Error(
+      `Job "${jobName}": Invalid excludeWindows day "${day}". Use 0-6 or a name like 'mon'.`
+    )
+  }
+  return index
+}
+
+module.exports = {
+  parseIcs,
+  loadCalendar,
+  resolveSkipDates,
+  normalizeWindows
+}
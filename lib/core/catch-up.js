@@ -0,0 +1,124 @@
+/**
+ * core/catch-up.js
+ *
+ * Functions for running scheduled runs that were missed while the app was down
+ */
+
+const { getRunTimesBetween } = require('./scheduler')
+const lock = require('./lock')
+const expiry = require('./expiry')
+
+/**
+ * Remember when a job last ran on its schedule
+ * Only tracked for jobs that catch up, so other jobs never touch the store
+ * @param {Object} job - Job configuration
+ * @param {Date} scheduledAt - Time the run was scheduled for
+ * @param {Object} context - Context with state store
+ */
+async function recordScheduledRun(job, scheduledAt, context = {}) {
+  const { state } = context
+  if (!state || !job.catchUp || job.catchUp === 'none') return
+
+  try {
+    await state.set(job.name, { lastRunAt: scheduledAt.getTime() })
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Could not record last run of job "${job.name}":`, err)
+    }
+  }
+}
+
+/**
+ * Work out which scheduled runs of a job were missed
+ * @param {Object} job - Job configuration
+ * @param {Date} lastRunAt - When the job last ran on its schedule
+ * @param {Date} now - Current time
+ * @param {Object} config - Quest configuration
+ * @returns {Array<Date>} Missed run times to catch up, oldest first
+ */
+function getMissedRuns(job, lastRunAt, now = new Date(), config = {}) {
+  if (!job.catchUp || job.catchUp === 'none') return []
+
+  // Timeouts are relative to lift, so there's nothing to miss
+  if (job.timeout !== undefined && job.timeout !== false) return []
+
+  const limit = job.catchUp === 'once' ? 1 : job.catchUpLimit
+  return getRunTimesBetween(job, lastRunAt, now, config, limit)
+}
+
+/**
+ * Run any missed runs of a job before it is scheduled normally
+ * @param {String} name - Job name
+ * @param {Object} context - Context with jobs map, state store, config and executeJob
+ * @returns {Promise<Array<Date>>} Run times that were caught up
+ */
+async function catchUpJob(name, context = {}) {
+  const { jobs = new Map(), state, config = {}, executeJob } = context
+
+  const job = jobs.get(name)
+  if (!job || !state || job.catchUp === 'none') return []
+
+  const now = new Date()
+  const saved = await state.get(name)
+
+  // First lift with catch-up enabled: start tracking from now
+  if (!saved || !saved.lastRunAt) {
+    await state.set(name, { lastRunAt: now.getTime() })
+    return []
+  }
+
+  const missed = getMissedRuns(job, new Date(saved.lastRunAt), now, config)
+  if (!missed.length) return []
+
+  if (global.sails) {
+    sails.log.info(
+      `Job "${name}" missed run(s) since ${new Date(saved.lastRunAt).toISOString()}, catching up ${missed.length}`
+    )
+  }
+
+  // Move the marker first so a crash mid catch-up doesn't repeat these runs
+  await state.set(name, { lastRunAt: now.getTime() })
+
+  // Run one at a time under a single lock so overlap prevention doesn't skip them
+  const caughtUp = []
+  await lock.withLock(
+    name,
+    async () => {
+      for (const scheduledAt of missed) {
+        // Missed runs count toward maxRuns like scheduled ones
+        if (!(await expiry.claimRun(job, context))) {
+          if (global.sails) {
+            sails.log.verbose(
+              `Job "${name}" reached its maxRuns, not catching up the rest`
+            )
+          }
+          break
+        }
+
+        caughtUp.push(scheduledAt)
+        try {
+          const result = await executeJob(name, {}, { trigger: 'catch-up' })
+          if (result && result.skipped) {
+            await expiry.releaseRun(job, context)
+          }
+        } catch (err) {
+          if (global.sails) {
+            sails.log.error(
+              `Error catching up job "${name}" (${scheduledAt.toISOString()}):`,
+              err
+            )
+          }
+        }
+      }
+    },
+    context
+  )
+
+  return caughtUp
+}
+
+module.exports = {
+  recordScheduledRun,
+  getMissedRuns,
+  catchUpJob
+}
@@ -0,0 +1,152 @@
+/**
+ * core/concurrency.js
+ *
+ * A limiter for the number of runs executing at once, overall and per group.
+ * Runs over the limit wait in a queue, highest priority first, then in order
+ */
+
+/**
+ * Create a concurrency limiter
+ * @param {Object} config - Quest configuration
+ * @param {Number} config.concurrency - Maximum concurrent runs (null for no limit)
+ * @param {Object} config.groups - Maximum concurrent runs per group name
+ * @returns {Object} Limiter with acquire and stats methods
+ */
+function createLimiter(config = {}) {
+  const limit = toLimit(config.concurrency)
+  const groupLimits = {}
+  for (const [group, value] of Object.entries(config.groups || {})) {
+    groupLimits[group] = toLimit(value)
+  }
+
+  const active = { total: 0, groups: new Map() }
+  const waiting = []
+
+  const getGroupLimit = (group) => groupLimits[group] ?? null
+  const getGroupActive = (group) => active.groups.get(group) || 0
+
+  const hasRoom = (group) => {
+    if (limit !== null && active.total >= limit) return false
+    const groupLimit = getGroupLimit(group)
+    return groupLimit === null || getGroupActive(group) < groupLimit
+  }
+
+  const take = (group) => {
+    active.total++
+    if (group) active.groups.set(group, getGroupActive(group) + 1)
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      active.total--
+      if (group) active.groups.set(group, getGroupActive(group) - 1)
+      drain()
+    }
+  }
+
+  // Start waiting runs that now fit; a full group doesn't hold up other groups
+  const drain = () => {
+    for (let i = 0; i < waiting.length; ) {
+      const entry = waiting[i]
+      if (hasRoom(entry.group)) {
+        waiting.splice(i, 1)
+        entry.resolve(take(entry.group))
+      } else {
+        i++
+      }
+    }
+  }
+
+  return {
+    /**
+     * Wait for a free slot
+     * @param {String} name - Job name
+     * @param {Object} options - Slot options
+     * @param {String} options.group - Group the run counts against
+     * @param {Number} options.priority - Higher priorities leave the queue first
+     * @returns {Promise<Function>} Resolves with a function that frees the slot
+     */
+    acquire(name, options = {}) {
+      const group = options.group || null
+      if (!waiting.length && hasRoom(group)) {
+        return Promise.resolve(take(group))
+      }
+
+      return new Promise((resolve) => {
+        const entry = {
+          name,
+          group,
+          priority: options.priority || 0,
+          queuedAt: Date.now(),
+          resolve
+        }
+        const index = waiting.findIndex(
+          (other) => other.priority < entry.priority
+        )
+        waiting.splice(index === -1 ? waiting.length : index, 0, entry)
+
+        if (global.sails) {
+          sails.log.verbose(
+            `Job "${name}" is waiting for a free slot (${waiting.length} queued)`
+          )
+        }
+
+        drain()
+      })
+    },
+
+    /**
+     * Get running and queued counts, overall and per group
+     * @returns {Object} Concurrency stats
+     */
+    stats() {
+      const groups = {}
+      const names = new Set([
+        ...Object.keys(groupLimits),
+        ...active.groups.keys(),
+        ...waiting.map((entry) => entry.group).filter(Boolean)
+      ])
+      for (const group of names) {
+        groups[group] = {
+          limit: getGroupLimit(group),
+          running: getGroupActive(group),
+          queued: waiting.filter((entry) => entry.group === group).length
+        }
+      }
+
+      return {
+        limit,
+        running: active.total,
+        queued: waiting.length,
+        waiting: waiting.map(({ name, group, priority, queuedAt }) => ({
+          name,
+          group,
+          priority,
+          queuedAt: new Date(queuedAt)
+        })),
+        groups
+      }
+    }
+  }
+}
+
+/**
+ * Normalize a limit setting
+ * @param {Number|Object} value - A number, or { concurrency } for groups
+ * @returns {Number|null} Limit, or null for no limit
+ */
+function toLimit(value) {
+  if (value && typeof value === 'object') value = value.concurrency
+  if (value === undefined || value === null || value === Infinity) return null
+  if (typeof value !== 'number' || value < 1) {
+    throw new Error(
+      `Invalid concurrency limit: ${value}. Use a positive number or null.`
+    )
+  }
+  return Math.floor(value)
+}
+
+module.exports = {
+  createLimiter
+}
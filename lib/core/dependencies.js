@@ -0,0 +1,121 @@
+/**
+ * core/dependencies.js
+ *
+ * Functions for chaining jobs: `after`, `onSuccess` and `onFailure` links
+ */
+
+/**
+ * Normalize a job's links into an array of link objects
+ * @param {String|Object|Array} links - Job name(s) or { name, inputs, passResult } object(s)
+ * @param {String} jobName - Job declaring the links (for error messages)
+ * @param {String} option - Option the links came from (for error messages)
+ * @returns {Array<Object>} Links with name, inputs and passResult
+ */
+function normalizeLinks(links, jobName, option) {
+  if (links === undefined || links === null) return []
+
+  const list = Array.isArray(links) ? links : [links]
+  return list.map((link) => {
+    const normalized =
+      typeof link === 'string'
+        ? { name: link, inputs: {}, passResult: false }
+        : {
+            name: link && link.name,
+            inputs: (link && link.inputs) || {},
+            passResult: Boolean(link && link.passResult)
+          }
+
+    if (!normalized.name || typeof normalized.name !== 'string') {
+      throw new Error(
+        `Job "${jobName}": Invalid ${option} entry. Use a job name or { name, inputs, passResult }.`
+      )
+    }
+    return normalized
+  })
+}
+
+/**
+ * List the jobs that run directly after a job
+ * @param {Object} job - Job configuration
+ * @param {Map} jobs - Jobs map
+ * @param {Boolean|null} success - Outcome to follow (null for both)
+ * @returns {Array<Object>} Links to run, at most one per job
+ */
+function getDownstream(job, jobs = new Map(), success = null) {
+  const links = []
+
+  if (success !== false) {
+    links.push(...(job.onSuccess || []))
+
+    // Jobs that declared they run after this one
+    for (const other of jobs.values()) {
+      const link = (other.after || []).find((l) => l.name === job.name)
+      if (link) {
+        links.push({ ...link, name: other.name })
+      }
+    }
+  }
+
+  if (success !== true) {
+    links.push(...(job.onFailure || []))
+  }
+
+  // A job linked more than once (e.g. via both onSuccess and after) runs once
+  return links.filter(
+    (link, index) => links.findIndex((l) => l.name === link.name) === index
+  )
+}
+
+/**
+ * Find a cycle that adding a job to the jobs map would create
+ * @param {Object} job - Normalized job about to be added
+ * @param {Map} jobs - Jobs map
+ * @returns {Array<String>|null} Job names forming the cycle, or null
+ */
+function findCycle(job, jobs = new Map()) {
+  const graph = new Map(jobs)
+  graph.set(job.name, job)
+
+  // The existing graph has no cycles, so any new one passes through this job
+  const visit = (name, trail, seen) => {
+    const current = graph.get(name)
+    if (!current) return null
+
+    for (const link of getDownstream(current, graph)) {
+      if (link.name === job.name) return [...trail, link.name]
+      if (seen.has(link.name)) continue
+      seen.add(link.name)
+      const cycle = visit(link.name, [...trail, link.name], seen)
+      if (cycle) return cycle
+    }
+    return null
+  }
+
+  return visit(job.name, [job.name], new Set())
+}
+
+/**
+ * Build the inputs for a downstream run
+ * @param {Object} link - Link being followed
+ * @param {*} result - Upstream job's result
+ * @returns {Object} Inputs for the downstream job
+ */
+function buildDownstreamInputs(link, result) {
+  if (!link.passResult || result === undefined) {
+    return { ...link.inputs }
+  }
+
+  // Plain object results become inputs; anything else is passed as `result`
+  const resultInputs =
+    result !== null && typeof result === 'object' && !Array.isArray(result)
+      ? result
+      : { result }
+  return { ...resultInputs, ...link.inputs }
+}
+
+module.exports = {
+  normalizeLinks,
+  getDownstream,
+  findCycle,
+  buildDownstreamInputs
+}
@@ -0,0 +1,546 @@
+/**
+ * core/dispatch.js
+ *
+ * A durable queue for on-demand background runs started with
+ * `sails.quest.dispatch()`, and the worker that processes it
+ *
+ * A store is any object with these async methods:
+ *   push(entry)                  -> Object (the stored entry, with an id)
+ *   claim(owner, ttl)            -> Object|null (the next due entry, now reserved)
+ *   renew(id, owner, ttl)        -> Boolean
+ *   ack(id, owner)               -> Boolean (removes a finished entry)
+ *   release(id, owner, changes)  -> Boolean (puts an entry back, or dead-letters it)
+ *   list(status, limit)          -> Array
+ *   count(status)                -> Number
+ *
+ * Entries have name, inputs, priority, status ('pending', 'reserved' or
+ * 'dead'), attempts, availableAt, owner, reservedUntil and lastError.
+ */
+
+const crypto = require('crypto')
+const { parseDuration } = require('./scheduler')
+const { getBackoffDelay, normalizeBackoff } = require('./retry')
+const { getScriptPath } = require('./loader')
+const store = require('./store')
+
+const MODEL = {
+  identity: 'questdispatch',
+  globalId: 'QuestDispatch',
+  attributes: {
+    name: { type: 'string', required: true },
+    inputs: { type: 'json' },
+    priority: { type: 'number', defaultsTo: 0 },
+    status: {
+      type: 'string',
+      isIn: ['pending', 'reserved', 'dead'],
+      defaultsTo: 'pending'
+    },
+    attempts: { type: 'number', defaultsTo: 0 },
+    availableAt: { type: 'number', required: true },
+    owner: { type: 'string', allowNull: true },
+    reservedUntil: { type: 'number', defaultsTo: 0 },
+    lastError: { type: 'json' }
+  }
+}
+
+/**
+ * Check whether an entry can be claimed
+ * Reserved entries become claimable again once their reservation expires,
+ * so entries held by an instance that died are picked up elsewhere
+ * @param {Object} entry - Queue entry
+ * @param {Number} now - Current timestamp
+ * @returns {Boolean} Whether the entry is due
+ */
+function isClaimable(entry, now) {
+  if (entry.status === 'pending') return entry.availableAt <= now
+  if (entry.status === 'reserved') return entry.reservedUntil <= now
+  return false
+}
+
+/**
+ * Order entries by priority (highest first), then by when they became due
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @returns {Number} Sort order
+ */
+function compareEntries(a, b) {
+  return b.priority - a.priority || a.availableAt - b.availableAt
+}
+
+/**
+ * Create a store over memory or file data
+ * @param {Object} data - Data from store.createMemoryData() or store.createFileData()
+ * @returns {Object} Dispatch store
+ */
+function createDataStore(data) {
+  const isOwnedBy = (entries, id, owner) =>
+    Boolean(entries[id]) && entries[id].owner === owner
+
+  const filter = (entries, status) =>
+    Object.values(entries).filter((e) => !status || e.status === status)
+
+  return {
+    async push(entry) {
+      const entries = await data.load()
+      const stored = { ...entry, id: crypto.randomUUID() }
+      entries[stored.id] = stored
+      await data.save()
+      return { ...stored }
+    },
+
+    async claim(owner, ttl) {
+      const entries = await data.load()
+      const now = Date.now()
+      const [entry] = Object.values(entries)
+        .filter((e) => isClaimable(e, now))
+        .sort(compareEntries)
+      if (!entry) return null
+
+      Object.assign(entry, {
+        status: 'reserved',
+        owner,
+        reservedUntil: now + ttl
+      })
+      await data.save()
+      return { ...entry }
+    },
+
+    async renew(id, owner, ttl) {
+      const entries = await data.load()
+      if (!isOwnedBy(entries, id, owner)) return false
+      entries[id].reservedUntil = Date.now() + ttl
+      await data.save()
+      return true
+    },
+
+    async ack(id, owner) {
+      const entries = await data.load()
+      if (!isOwnedBy(entries, id, owner)) return false
+      delete entries[id]
+      await data.save()
+      return true
+    },
+
+    async release(id, owner, changes) {
+      const entries = await data.load()
+      if (!isOwnedBy(entries, id, owner)) return false
+      Object.assign(entries[id], changes, { owner: null, reservedUntil: 0 })
+      await data.save()
+      return true
+    },
+
+    async list(status, limit = 20) {
+      return filter(await data.load(), status)
+        .sort(compareEntries)
+        .slice(0, limit)
+        .map((e) => ({ ...e }))
+    },
+
+    async count(status) {
+      return filter(await data.load(), status).length
+    }
+  }
+}
+
+/**
+ * Create a store backed by a Waterline model
+ * See MODEL for the attributes the model needs
+ * @param {Object} model - Waterline model
+ * @returns {Object} Dispatch store
+ */
+function createDatabaseStore(model) {
+  // How many due entries to try when other instances claim them first
+  const CLAIM_CANDIDATES = 5
+
+  return {
+    async push(entry) {
+      return model.create(entry).fetch()
+    },
+
+    async claim(owner, ttl) {
+      const now = Date.now()
+      const candidates = await model
+        .find({
+          or: [
+            { status: 'pending', availableAt: { '<=': now } },
+            { status: 'reserved', reservedUntil: { '<=': now } }
+          ]
+        })
+        .sort([{ priority: 'DESC' }, { availableAt: 'ASC' }])
+        .limit(CLAIM_CANDIDATES)
+
+      for (const candidate of candidates) {
+        // Only succeeds if nobody claimed the entry since it was read
+        const [claimed] = await model
+          .update({
+            id: candidate.id,
+            status: candidate.status,
+            reservedUntil: candidate.reservedUntil
+          })
+          .set({ status: 'reserved', owner, reservedUntil: now + ttl })
+          .fetch()
+        if (claimed) return claimed
+      }
+      return null
+    },
+
+    async renew(id, owner, ttl) {
+      const renewed = await model
+        .update({ id, owner, status: 'reserved' })
+        .set({ reservedUntil: Date.now() + ttl })
+        .fetch()
+      return renewed.length > 0
+    },
+
+    async ack(id, owner) {
+      const acked = await model.destroy({ id, owner }).fetch()
+      return acked.length > 0
+    },
+
+    async release(id, owner, changes) {
+      const released = await model
+        .update({ id, owner })
+        .set({ ...changes, owner: null, reservedUntil: 0 })
+        .fetch()
+      return released.length > 0
+    },
+
+    async list(status, limit = 20) {
+      return model
+        .find(status ? { status } : {})
+        .sort([{ priority: 'DESC' }, { availableAt: 'ASC' }])
+        .limit(limit)
+    },
+
+    async count(status) {
+      return model.count(status ? { status } : {})
+    }
+  }
+}
+
+/**
+ * Check whether the app locks jobs across several instances
+ * @param {Object} config - Quest configuration
+ * @returns {Boolean} Whether a lock adapter other than 'memory' is set
+ */
+function isMultiInstance(config = {}) {
+  const { adapter } = config.lock || {}
+  return Boolean(adapter) && adapter !== 'memory'
+}
+
+/**
+ * Get the adapter set in `config.quest.dispatch`, or the default one
+ * The file adapter only works for a single instance (each instance keeps its
+ * own copy of the queue), so apps that lock jobs across instances default to
+ * the database adapter
+ * @param {Object} config - Quest configuration
+ * @returns {String|Object} Adapter name or custom store
+ */
+function getAdapter(config = {}) {
+  const { adapter } = config.dispatch || {}
+  if (adapter) return adapter
+  return isMultiInstance(config) ? 'database' : 'file'
+}
+
+/**
+ * Register the built-in dispatch model with the ORM
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ */
+function registerModel(sailsConfig) {
+  const dispatchConfig = sailsConfig.quest.dispatch || {}
+  if (getAdapter(sailsConfig.quest) !== 'database') return
+
+  store.registerModel(sailsConfig, MODEL, dispatchConfig)
+}
+
+/**
+ * Create the store configured in `config.quest.dispatch`
+ * @param {Object} config - Quest configuration
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @returns {Object} Dispatch store
+ */
+function createStore(config = {}, models = {}) {
+  const dispatchConfig = config.dispatch || {}
+
+  return store.createStore(
+    { ...dispatchConfig, adapter: getAdapter(config) },
+    {
+      memory: () => createDataStore(store.createMemoryData()),
+      file: () => {
+        if (isMultiInstance(config) && global.sails) {
+          sails.log.warn(
+            'The Quest file dispatch store only works for a single instance. Use the database adapter for config.quest.dispatch when several instances share a queue.'
+          )
+        }
+        return createDataStore(
+          store.createFileData(
+            store.resolvePath(
+              config,
+              dispatchConfig,
+              '.tmp/quest-dispatch.json'
+            ),
+            'dispatch queue'
+          )
+        )
+      },
+      database: () =>
+        createDatabaseStore(
+          store.getModel(models, MODEL, dispatchConfig, 'dispatch.model')
+        )
+    },
+    { name: 'dispatch', defaultAdapter: 'file' }
+  )
+}
+
+/**
+ * Add a run to the dispatch queue
+ * @param {String} name - Job or script name
+ * @param {Object} inputs - Input values
+ * @param {Object} options - Dispatch options
+ * @param {Number|String} options.delay - Wait before running (ms or human-readable)
+ * @param {Number} options.priority - Higher priorities run first
+ * @param {Object} context - Context with dispatchStore and worker
+ * @returns {Promise<Object>} The queued entry
+ */
+async function dispatch(name, inputs = {}, options = {}, context = {}) {
+  const { dispatchStore, dispatchWorker, config = {} } = context
+
+  // Fail now rather than when a worker picks the entry up
+  getScriptPath(name, config)
+
+  const delay = parseDuration(options.delay) || 0
+  const entry = await dispatchStore.push({
+    name,
+    inputs,
+    priority: options.priority || 0,
+    status: 'pending',
+    attempts: 0,
+    availableAt: Date.now() + delay,
+    owner: null,
+    reservedUntil: 0,
+    lastError: null
+  })
+
+  if (global.sails) {
+    sails.log.verbose(
+      `Dispatched job "${name}"${delay ? ` to run in ${delay}ms` : ''}`
+    )
+  }
+
+  // Pick it up straight away instead of on the next poll
+  if (!delay && dispatchWorker) {
+    dispatchWorker.poll()
+  }
+
+  return entry
+}
+
+/**
+ * Create the worker that claims and runs dispatched entries
+ * @param {Object} context - Context with dispatchStore, lockOwner, config and executeJob
+ * @returns {Object} Worker with start, poll, stop and stats methods
+ */
+function createWorker(context = {}) {
+  const { dispatchStore: store, lockOwner: owner, config = {} } = context
+  const dispatchConfig = config.dispatch || {}
+  const concurrency = dispatchConfig.concurrency || 1
+  const pollInterval = parseDuration(dispatchConfig.pollInterval) || 1000
+  const ttl = parseDuration(dispatchConfig.visibilityTimeout) || 5 * 60 * 1000
+  const maxAttempts = dispatchConfig.maxAttempts || 3
+  const backoff = normalizeBackoff(dispatchConfig.backoff)
+
+  const active = new Set()
+  let pollTimer = null
+  let polling = false
+  let pollAgain = false
+  let stopped = true
+
+  async function poll() {
+    if (stopped) return
+    if (polling) {
+      pollAgain = true
+      return
+    }
+    polling = true
+    pollAgain = false
+    clearTimeout(pollTimer)
+
+    try {
+      while (!stopped && active.size < concurrency) {
+        const entry = await store.claim(owner, ttl)
+        if (!entry) break
+
+        const run = processEntry(entry).finally(() => {
+          active.delete(run)
+          poll()
+        })
+        active.add(run)
+      }
+    } catch (err) {
+      if (global.sails) {
+        sails.log.error('Could not claim dispatched jobs:', err)
+      }
+    } finally {
+      polling = false
+      if (!stopped) {
+        pollTimer = setTimeout(poll, pollAgain ? 0 : pollInterval)
+        pollTimer.unref()
+      }
+    }
+  }
+
+  async function processEntry(entry) {
+    // Keep the reservation alive while the run takes longer than its timeout
+    const renewTimer = setInterval(() => {
+      store.renew(entry.id, owner, ttl).catch((err) => {
+        if (global.sails) {
+          sails.log.error(
+            `Could not renew dispatched job "${entry.name}" (${entry.id}):`,
+            err
+          )
+        }
+      })
+    }, ttl / 2)
+
+    let result
+    try {
+      result = await context.executeJob(entry.name, entry.inputs, {
+        trigger: 'dispatch',
+        priority: entry.priority
+      })
+    } catch (err) {
+      clearInterval(renewTimer)
+      return failEntry(entry, err)
+    }
+    clearInterval(renewTimer)
+
+    try {
+      if (result && result.skipped) {
+        // Skipped (paused or already running): try again later without counting it
+        await store.release(entry.id, owner, {
+          status: 'pending',
+          availableAt: Date.now() + pollInterval
+        })
+      } else {
+        await store.ack(entry.id, owner)
+      }
+    } catch (err) {
+      if (global.sails) {
+        sails.log.error(
+          `Could not update dispatched job "${entry.name}" (${entry.id}):`,
+          err
+        )
+      }
+    }
+  }
+
+  async function failEntry(entry, err) {
+    const attempts = entry.attempts + 1
+    const lastError = { message: err.message }
+    if (err.exitCode !== undefined) lastError.code = err.exitCode
+
+    try {
+      if (err.retryable === false || attempts >= maxAttempts) {
+        await store.release(entry.id, owner, {
+          status: 'dead',
+          attempts,
+          lastError
+        })
+
+        if (global.sails) {
+          sails.log.warn(
+            `Dispatched job "${entry.name}" (${entry.id}) failed ${attempts} time(s), moving it to the dead letters`
+          )
+
+          // Emit dead letter event
+          sails.emit('quest:job:dead', {
+            id: entry.id,
+            name: entry.name,
+            inputs: entry.inputs,
+            error: lastError,
+            attempts,
+            timestamp: new Date()
+          })
+        }
+        return
+      }
+
+      const delay = getBackoffDelay(attempts, backoff)
+      await store.release(entry.id, owner, {
+        status: 'pending',
+        attempts,
+        availableAt: Date.now() + delay,
+        lastError
+      })
+    } catch (storeErr) {
+      if (global.sails) {
+        sails.log.error(
+          `Could not update dispatched job "${entry.name}" (${entry.id}):`,
+          storeErr
+        )
+      }
+    }
+  }
+
+  return {
+    /**
+     * Start polling for entries
+     */
+    start() {
+      stopped = false
+      poll()
+    },
+
+    /**
+     * Check for due entries now
+     */
+    poll,
+
+    /**
+     * Stop claiming new entries; runs in progress finish on their own
+     */
+    stop() {
+      stopped = true
+      clearTimeout(pollTimer)
+    },
+
+    /**
+     * Get the number of entries this instance is running
+     * @returns {Object} Active count and concurrency
+     */
+    stats() {
+      return { concurrency, active: active.size }
+    }
+  }
+}
+
+/**
+ * Count entries by status
+ * @param {Object} context - Context with dispatchStore and dispatchWorker
+ * @returns {Promise<Object>} Pending, reserved and dead counts, plus runs active here
+ */
+async function getStats(context = {}) {
+  const { dispatchStore: store, dispatchWorker } = context
+  const [pending, reserved, dead] = await Promise.all([
+    store.count('pending'),
+    store.count('reserved'),
+    store.count('dead')
+  ])
+  return {
+    pending,
+    reserved,
+    dead,
+    active: dispatchWorker ? dispatchWorker.stats().active : 0
+  }
+}
+
+module.exports = {
+  createDataStore,
+  createDatabaseStore,
+  registerModel,
+  createStore,
+  dispatch,
+  createWorker,
+  getStats
+}
@@ -5,8 +5,20 @@
  */
 
 const { spawn } = require('child_process')
-const fs = require('fs')
 const path = require('path')
+const retry = require('./retry')
+const history = require('./history')
+const metrics = require('./metrics')
+const watchdog = require('./watchdog')
+const tracing = require('./tracing')
+const runs = require('./runs')
+const inline = require('./inline')
+const pool = require('./pool')
+const output = require('./output')
+const { getScriptPath } = require('./loader')
+const { parseDuration } = require('./scheduler')
+
+const CHILD_PATH = path.resolve(__dirname, '..', 'child.js')
 
 /**
  * Execute a job via `sails run`
@@ -14,9 +26,18 @@ const path = require('path')
  * @param {Object} job - Job configuration
  * @param {Object} customInputs - Custom input values
  * @param {Object} context - Execution context with running map, config, etc
- * @returns {Promise} Resolves when job completes
+ * @param {Object} options - Execution options
+ * @param {String} options.trigger - What started the run ('schedule', 'manual', 'catch-up', 'dependency' or 'dispatch')
+ * @param {Number} options.priority - Queue priority when concurrency is limited (defaults to the job's)
+ * @returns {Promise} Resolves when job completes, after any retries
  */
-async function executeJob(name, job, customInputs = {}, context = {}) {
+async function executeJob(
+  name,
+  job,
+  customInputs = {},
+  context = {},
+  options = {}
+) {
   const { running = new Map(), config = {} } = context
 
   // Check if job is already running (and overlapping is disabled)
@@ -24,6 +45,7 @@ async function executeJob(name, job, customInputs = {}, context = {}) {
     if (global.sails) {
       sails.log.warn(`Job "${name}" is already running, skipping...`)
     }
+    metrics.recordSkip(name, 'already_running', context)
     return { skipped: true, reason: 'already_running' }
   }
 
@@ -32,135 +54,530 @@ async function executeJob(name, job, customInputs = {}, context = {}) {
     if (global.sails) {
       sails.log.verbose(`Job "${name}" is paused, skipping...`)
     }
+    metrics.recordSkip(name, 'paused', context)
     return { skipped: true, reason: 'paused' }
   }
 
-  if (global.sails) {
-    sails.log.info(`Running job: ${name}`)
-  }
-
-  running.set(name, Date.now())
-
   // Merge inputs with priority: jobInputs < scriptInputs < customInputs
   const inputs = { ...job.inputs, ...job.scriptInputs, ...customInputs }
 
-  // Emit job start event
+  const activeRun = runs.startRun(running, name, inputs)
+  const { runId, startedAt: startTime } = activeRun
+  await watchdog.recordStart(job, context)
+
   if (global.sails) {
+    sails.log.info(`Running job: ${name} (run ${runId})`)
+
+    // Emit job start event
     sails.emit('quest:job:start', {
       name,
+      runId,
       inputs,
       timestamp: new Date()
     })
   }
 
-  return new Promise((resolve, reject) => {
-    // Build command arguments
-    const args = buildCommandArgs(name, inputs)
+  const span = tracing.startJobSpan(name, job, inputs, { ...options, runId })
 
-    // Setup environment
-    const env = { ...process.env }
-    if (config.environment) {
-      env.NODE_ENV = config.environment
+  const maxAttempts = (job.retries || 0) + 1
+  let attempt = 1
+  let outcome
+
+  while (true) {
+    activeRun.attempt = attempt
+    const run = {
+      name,
+      runId,
+      inputs,
+      trigger: attempt === 1 ? options.trigger || 'manual' : 'retry',
+      attempt,
+      startedAt: Date.now()
     }
 
-    const sailsPath = config.sailsPath || './node_modules/.bin/sails'
-    const cwd = config.appPath || process.cwd()
-    const scriptsDir = config.scriptsDir || 'scripts'
+    let started = false
 
-    // Validate script exists before attempting to run
-    const scriptPath = path.resolve(cwd, scriptsDir, `${name}.js`)
-    if (!fs.existsSync(scriptPath)) {
-      running.delete(name)
-      const error = new Error(
-        `Job "${name}" not found. Please check that the script exists at ${scriptsDir}/${name}.js`
+    try {
+      // Wait for a free slot; a waiting run still counts as running for withoutOverlapping
+      const release = await runs.unlessCancelled(
+        activeRun,
+        acquireSlot(name, job, context, options),
+        (lateRelease) => lateRelease()
       )
-      if (global.sails) {
-        sails.log.error(error.message)
-        sails.emit('quest:job:error', {
-          name,
-          inputs,
-          error: { message: error.message },
-          duration: 0,
-          timestamp: new Date()
+      run.startedAt = Date.now()
+      started = true
+
+      // Inline code that outlives a cancel or timeout keeps its slot until it settles
+      outcome = await tracing
+        .withSpan(span, () =>
+          runAttempt(job.script || name, inputs, job, context, activeRun)
+        )
+        .finally(() => {
+          runs.setKill(activeRun, null)
+          runs.afterHold(activeRun, release)
         })
+      await history.recordRun(
+        { ...run, status: 'success', exitCode: 0, endedAt: Date.now() },
+        context
+      )
+      break
+    } catch (err) {
+      // A retry cancelled before it started (e.g. during the backoff) never
+      // ran; the attempt before it is already recorded
+      const skipped = err.cancelled && !started && attempt > 1
+      if (!skipped) {
+        await history.recordRun(
+          {
+            ...run,
+            status: err.cancelled
+              ? 'cancelled'
+              : err.timedOut
+                ? 'timeout'
+                : 'error',
+            exitCode: err.exitCode,
+            error: buildErrorPayload(err),
+            endedAt: Date.now()
+          },
+          context
+        )
       }
-      return reject(error)
-    }
 
-    const child = spawn(sailsPath, args, {
-      cwd,
-      env,
-      stdio: 'inherit'
-    })
+      // A cancelled run ends quietly: no retries and no downstream jobs
+      if (err.cancelled) {
+        const duration = Date.now() - startTime
+        runs.endRun(running, activeRun)
+        metrics.recordRun({ name, status: 'cancelled', duration }, context)
+        tracing.endJobSpan(span, 'cancelled', err)
 
-    child.on('exit', (code) => {
-      const startTime = running.get(name)
-      const duration = Date.now() - startTime
-      running.delete(name)
+        if (global.sails) {
+          sails.log.warn(`Job "${name}" was cancelled (run ${runId})`)
+
+          // Emit cancelled event
+          sails.emit('quest:job:cancelled', {
+            name,
+            runId,
+            inputs,
+            signal: err.signal,
+            ...getCapturedOutput(err),
+            attempts: skipped ? attempt - 1 : attempt,
+            duration,
+            timestamp: new Date()
+          })
+        }
+
+        return {
+          cancelled: true,
+          runId,
+          duration,
+          attempts: skipped ? attempt - 1 : attempt
+        }
+      }
+
+      // A hung run that had to be killed is reported separately and not retried
+      if (err.timedOut) {
+        const duration = Date.now() - startTime
+        runs.endRun(running, activeRun)
+        err.runId = runId
+        metrics.recordRun({ name, status: 'timeout', duration }, context)
+        tracing.endJobSpan(span, 'timeout', err)
 
-      if (code === 0) {
         if (global.sails) {
-          sails.log.info(`Job "${name}" completed successfully`)
+          sails.log.error(`${err.message} (run ${runId})`)
 
-          // Emit success event
-          sails.emit('quest:job:complete', {
+          // Emit timeout event
+          sails.emit('quest:job:timeout', {
             name,
+            runId,
             inputs,
+            maxRuntime: job.maxRuntime,
+            signal: err.signal,
+            ...getCapturedOutput(err),
+            attempts: attempt,
             duration,
             timestamp: new Date()
           })
         }
 
-        resolve({ success: true, duration })
-      } else {
-        const error = new Error(`Job "${name}" exited with code ${code}`)
+        triggerDownstream(context, name, { success: false, error: err })
+        throw err
+      }
+
+      // Missing scripts and exhausted retries are final
+      if (err.retryable === false || attempt >= maxAttempts) {
+        const duration = Date.now() - startTime
+        runs.endRun(running, activeRun)
+        err.runId = runId
+        metrics.recordRun({ name, status: 'error', duration }, context)
+        tracing.endJobSpan(span, 'error', err)
 
         if (global.sails) {
-          sails.log.error(error)
+          if (err.retryable === false && err.exitCode === undefined) {
+            sails.log.error(`${err.message} (run ${runId})`)
+          } else if (err.syscall) {
+            sails.log.error(
+              `Job "${name}" failed to start (run ${runId}):`,
+              err
+            )
+          } else {
+            sails.log.error(`Job "${name}" failed (run ${runId}):`, err)
+          }
 
           // Emit error event
           sails.emit('quest:job:error', {
             name,
+            runId,
             inputs,
-            error: {
-              message: error.message,
-              code
-            },
+            error: buildErrorPayload(err),
+            ...getCapturedOutput(err),
+            attempts: attempt,
             duration,
             timestamp: new Date()
           })
         }
 
-        reject(error)
+        triggerDownstream(context, name, { success: false, error: err })
+        throw err
       }
-    })
 
-    child.on('error', (err) => {
-      const startTime = running.get(name) || Date.now()
-      const duration = Date.now() - startTime
-      running.delete(name)
+      const delay = retry.getBackoffDelay(attempt, job.backoff)
+      attempt++
+      tracing.recordRetry(span, attempt, err, delay)
 
       if (global.sails) {
-        sails.log.error(`Job "${name}" failed to start:`, err)
+        sails.log.warn(
+          `Job "${name}" failed (${err.message}), retrying in ${delay}ms (attempt ${attempt} of ${maxAttempts}, run ${runId})`
+        )
 
-        // Emit error event
-        sails.emit('quest:job:error', {
+        // Emit retry event
+        sails.emit('quest:job:retry', {
           name,
+          runId,
           inputs,
-          error: {
-            message: err.message,
-            stack: err.stack
-          },
-          duration,
+          error: buildErrorPayload(err),
+          attempt,
+          maxAttempts,
+          delay,
           timestamp: new Date()
         })
       }
 
+      // Cut short if the run is cancelled; the next attempt then won't start
+      await runs.sleep(activeRun, delay)
+    }
+  }
+
+  const duration = Date.now() - startTime
+  runs.endRun(running, activeRun)
+  metrics.recordRun({ name, status: 'success', duration }, context)
+  tracing.endJobSpan(span, 'success')
+  await watchdog.recordSuccess(job, context)
+
+  if (global.sails) {
+    sails.log.info(`Job "${name}" completed successfully (run ${runId})`)
+
+    // Emit success event
+    sails.emit('quest:job:complete', {
+      name,
+      runId,
+      inputs,
+      result: outcome.result,
+      ...getCapturedOutput(outcome),
+      attempts: attempt,
+      duration,
+      timestamp: new Date()
+    })
+  }
+
+  triggerDownstream(context, name, { success: true, result: outcome.result })
+  return {
+    success: true,
+    runId,
+    result: outcome.result,
+    duration,
+    attempts: attempt
+  }
+}
+
+/**
+ * Hand a finished run to the job-control layer so chained jobs can start
+ * @param {Object} context - Execution context with triggerDownstream function
+ * @param {String} name - Job name
+ * @param {Object} outcome - { success, result, error } of the run
+ */
+function triggerDownstream(context, name, outcome) {
+  if (typeof context.triggerDownstream !== 'function') return
+  try {
+    context.triggerDownstream(name, outcome)
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Error triggering jobs after "${name}":`, err)
+    }
+  }
+}
+
+/**
+ * Wait until the concurrency limits allow another run
+ * @param {String} name - Job name
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Execution context with limiter
+ * @param {Object} options - Execution options
+ * @returns {Promise<Function>} Resolves with a function that frees the slot
+ */
+function acquireSlot(name, job, context, options) {
+  if (!context.limiter) return Promise.resolve(() => {})
+  return context.limiter.acquire(name, {
+    group: job.group,
+    priority: options.priority ?? job.priority
+  })
+}
+
+/**
+ * Run a single attempt of a job in its execution mode
+ * @param {String} name - Script name
+ * @param {Object} inputs - Merged input values
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Execution context with config and worker pool
+ * @param {Object} activeRun - The run in progress (its pid is set once known)
+ * @returns {Promise<Object>} Resolves with the script's result and any captured output
+ */
+async function runAttempt(name, inputs, job, context = {}, activeRun = {}) {
+  const { config = {} } = context
+  const mode = job.executionMode || config.executionMode || 'process'
+  const options = {
+    maxRuntime: job.maxRuntime,
+    gracePeriod: config.gracePeriod,
+    runId: activeRun.runId,
+    onSpawn: (pid) => {
+      activeRun.pid = pid
+    },
+    setKill: (kill) => runs.setKill(activeRun, kill)
+  }
+
+  if (mode === 'inline') {
+    activeRun.pid = process.pid
+    // Inline code can't be killed, so cancelling only stops waiting for it;
+    // the run stays in progress until the code settles
+    return runs
+      .unlessCancelled(
+        activeRun,
+        inline.runInline(name, inputs, config, {
+          ...options,
+          onCall: (promise) => runs.holdUntil(activeRun, promise)
+        })
+      )
+      .then((result) => ({ result }))
+  }
+
+  if (mode === 'pool') {
+    // Fail fast on missing scripts instead of waiting for a worker
+    getScriptPath(name, config)
+    if (!context.pool) {
+      context.pool = pool.createPool(config)
+    }
+    return context.pool.run(name, inputs, options)
+  }
+  return runScript(name, inputs, config, options)
+}
+
+/**
+ * Run a script once via `sails run`
+ * @param {String} name - Script name
+ * @param {Object} inputs - Merged input values
+ * @param {Object} config - Quest configuration
+ * @param {Object} options - Run options
+ * @param {Number} options.maxRuntime - Milliseconds before the process is sent SIGTERM
+ * @param {String|Number} options.gracePeriod - Time between SIGTERM and SIGKILL
+ * @param {String} options.runId - Run ID, passed to the child as QUEST_RUN_ID
+ * @param {Function} options.onSpawn - Called with the child's pid once it starts
+ * @param {Function} options.setKill - Called with a (signal, graceMs) function that cancels the run
+ * @returns {Promise<Object>} Resolves with the script's result and captured output when the process exits with code 0
+ */
+function runScript(name, inputs, config = {}, options = {}) {
+  return new Promise((resolve, reject) => {
+    // Build command arguments
+    const args = buildCommandArgs(name, inputs)
+
+    // Validate script exists before attempting to run
+    let scriptPath
+    try {
+      scriptPath = getScriptPath(name, config)
+    } catch (err) {
+      return reject(err)
+    }
+
+    // Setup environment
+    const env = { ...process.env }
+    if (config.environment) {
+      env.NODE_ENV = config.environment
+    }
+
+    if (options.runId) {
+      env.QUEST_RUN_ID = options.runId
+    }
+
+    // Continue the run's trace in the child (TRACEPARENT and TRACESTATE)
+    tracing.injectEnv(env)
+
+    // Preload the helper that reports the script's result back over IPC
+    env.QUEST_SCRIPT_PATH = scriptPath
+    env.NODE_OPTIONS = [
+      process.env.NODE_OPTIONS,
+      `--require ${JSON.stringify(CHILD_PATH)}`
+    ]
+      .filter(Boolean)
+      .join(' ')
+
+    const sailsPath = config.sailsPath || './node_modules/.bin/sails'
+    const cwd = config.appPath || process.cwd()
+
+    const captureOutput = config.output?.capture !== false
+    const runTag = options.runId ? ` (run ${options.runId})` : ''
+    const capture = output.createCapture(
+      options.runId ? `${name} ${options.runId}` : name,
+      config
+    )
+
+    const child = spawn(sailsPath, args, {
+      cwd,
+      env,
+      stdio: [
+        'inherit',
+        captureOutput ? 'pipe' : 'inherit',
+        captureOutput ? 'pipe' : 'inherit',
+        'ipc'
+      ],
+      serialization: 'advanced'
+    })
+
+    output.pipeChild(child, capture)
+    if (child.pid && options.onSpawn) {
+      options.onSpawn(child.pid)
+    }
+
+    let result
+    child.on('message', (message) => {
+      if (message && message.type === 'quest:result') {
+        result = message.output
+      }
+    })
+
+    let runtimeTimer = null
+    let killTimer = null
+    let timedOut = false
+
+    if (options.maxRuntime) {
+      runtimeTimer = setTimeout(() => {
+        timedOut = true
+        if (global.sails) {
+          sails.log.warn(
+            `Job "${name}" exceeded its max runtime of ${options.maxRuntime}ms, sending SIGTERM${runTag}`
+          )
+        }
+        child.kill('SIGTERM')
+
+        // Escalate if the script ignores SIGTERM
+        const gracePeriod = parseDuration(options.gracePeriod) ?? 10000
+        killTimer = setTimeout(() => {
+          if (global.sails) {
+            sails.log.warn(
+              `Job "${name}" did not exit within ${gracePeriod}ms of SIGTERM, sending SIGKILL${runTag}`
+            )
+          }
+          child.kill('SIGKILL')
+        }, gracePeriod)
+      }, options.maxRuntime)
+    }
+
+    const clearTimers = () => {
+      clearTimeout(runtimeTimer)
+      clearTimeout(killTimer)
+    }
+
+    let cancelSignal = null
+
+    if (options.setKill) {
+      options.setKill((signal, graceMs) => {
+        clearTimers()
+        cancelSignal = signal
+        child.kill(signal)
+        if (signal === 'SIGKILL') return
+
+        // Escalate if the script ignores the signal
+        killTimer = setTimeout(() => {
+          if (global.sails) {
+            sails.log.warn(
+              `Job "${name}" did not exit within ${graceMs}ms of ${signal}, sending SIGKILL${runTag}`
+            )
+          }
+          child.kill('SIGKILL')
+        }, graceMs)
+      })
+    }
+
+    // 'close' rather than 'exit' so all output has been read
+    child.on('close', (code, signal) => {
+      clearTimers()
+      capture.flush()
+      const captured = captureOutput ? capture.getOutput() : {}
+
+      if (cancelSignal) {
+        const error = runs.createCancelledError(name, cancelSignal)
+        return reject(Object.assign(error, captured))
+      }
+
+      if (timedOut) {
+        const error = new Error(
+          `Job "${name}" timed out after ${options.maxRuntime}ms`
+        )
+        error.timedOut = true
+        error.signal = signal
+        error.retryable = false
+        return reject(Object.assign(error, captured))
+      }
+
+      if (code === 0) {
+        return resolve({ result, ...captured })
+      }
+      const error = new Error(`Job "${name}" exited with code ${code}`)
+      error.exitCode = code
+      reject(Object.assign(error, captured))
+    })
+
+    child.on('error', (err) => {
+      clearTimers()
       reject(err)
     })
   })
 }
 
+/**
+ * Pick captured output off an attempt's outcome or error for event payloads
+ * @param {Object} source - Outcome or error from runAttempt
+ * @returns {Object} stdout, stderr and truncated, when output was captured
+ */
+function getCapturedOutput(source = {}) {
+  if (source.stdout === undefined) return {}
+  return {
+    stdout: source.stdout,
+    stderr: source.stderr,
+    truncated: source.truncated
+  }
+}
+
+/**
+ * Build the error details included in job events
+ * @param {Error} err - Error from the last attempt
+ * @returns {Object} Serializable error details
+ */
+function buildErrorPayload(err) {
+  if (err.exitCode !== undefined) {
+    return { message: err.message, code: err.exitCode }
+  }
+  if (err.retryable === false) {
+    return { message: err.message }
+  }
+  return { message: err.message, stack: err.stack }
+}
+
 /**
  * Build command arguments for sails run
  * @param {String} scriptName - Name of the script
@@ -186,5 +603,6 @@ function buildCommandArgs(scriptName, inputs = {}) {
 
 module.exports = {
   executeJob,
+  runScript,
   buildCommandArgs
 }
@@ -0,0 +1,153 @@
+/**
+ * core/expiry.js
+ *
+ * Functions for retiring jobs that have used up their `maxRuns` or passed
+ * their `endAt`. Run counts are kept in the state store, so they survive
+ * restarts and are shared by every instance using the same store.
+ */
+
+/**
+ * Check whether a job has no scheduled runs left
+ * @param {Object} job - Job configuration
+ * @param {Date} now - Current time
+ * @returns {String|null} 'maxRuns' or 'endAt', or null if the job is still active
+ */
+function getExpiryReason(job, now = new Date()) {
+  if (job.maxRuns && job.runCount >= job.maxRuns) return 'maxRuns'
+  if (job.endAt && new Date(job.endAt) <= now) return 'endAt'
+  return null
+}
+
+/**
+ * Load a job's run count and whether it already expired in an earlier run of the app
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ */
+async function restoreState(job, context = {}) {
+  const { state } = context
+  if (!state || (!job.maxRuns && !job.endAt)) return
+
+  try {
+    const saved = await state.get(job.name)
+    if (!saved) return
+
+    job.runCount = Math.max(job.runCount, saved.runCount || 0)
+    // Only stay quiet about jobs that are still expired (their bounds may have been raised)
+    job.expired = Boolean(saved.expiredAt) && getExpiryReason(job) !== null
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Could not load the run count of job "${job.name}":`, err)
+    }
+  }
+}
+
+/**
+ * Count a scheduled run against a job's maxRuns
+ * Reads the shared count first, so instances never run more than maxRuns between them
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ * @returns {Promise<Boolean>} Whether the run may go ahead
+ */
+async function claimRun(job, context = {}) {
+  if (!job.maxRuns) return true
+
+  const { state } = context
+  try {
+    const saved = state ? await state.get(job.name) : null
+    job.runCount = Math.max(job.runCount, saved?.runCount || 0)
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Could not load the run count of job "${job.name}":`, err)
+    }
+  }
+
+  if (job.runCount >= job.maxRuns) return false
+
+  job.runCount++
+  await saveRunCount(job, context)
+  return true
+}
+
+/**
+ * Give back a run claimed with claimRun that was skipped (e.g. the job is
+ * paused or already running), so only runs that happen count toward maxRuns
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ */
+async function releaseRun(job, context = {}) {
+  if (!job.maxRuns || job.runCount <= 0) return
+
+  job.runCount--
+  await saveRunCount(job, context)
+}
+
+/**
+ * Save a job's run count to the state store
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ */
+async function saveRunCount(job, context = {}) {
+  const { state } = context
+  if (!state) return
+
+  try {
+    await state.set(job.name, { runCount: job.runCount })
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(
+        `Could not record the run count of job "${job.name}":`,
+        err
+      )
+    }
+  }
+}
+
+/**
+ * Mark a job as expired, emitting `quest:job:expired` the first time
+ * @param {Object} job - Job configuration
+ * @param {String} reason - 'maxRuns' or 'endAt'
+ * @param {Object} context - Context with state store
+ */
+async function expire(job, reason, context = {}) {
+  if (job.expired) {
+    if (global.sails) {
+      sails.log.verbose(`Job "${job.name}" has expired (${reason})`)
+    }
+    return
+  }
+  job.expired = true
+
+  if (global.sails) {
+    sails.log.info(
+      reason === 'maxRuns'
+        ? `Job "${job.name}" completed its ${job.maxRuns} run(s) and will not be scheduled again`
+        : `Job "${job.name}" reached its end (${new Date(job.endAt).toISOString()}) and will not be scheduled again`
+    )
+    sails.emit('quest:job:expired', {
+      name: job.name,
+      reason,
+      runCount: job.runCount,
+      maxRuns: job.maxRuns,
+      endAt: job.endAt,
+      timestamp: new Date()
+    })
+  }
+
+  const { state } = context
+  if (!state) return
+  try {
+    await state.set(job.name, { expiredAt: Date.now() })
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Could not record that job "${job.name}" expired:`, err)
+    }
+  }
+}
+
+module.exports = {
+  getExpiryReason,
+  restoreState,
+  claimRun,
+  releaseRun,
+  expire
+}
@@ -0,0 +1,174 @@
+/**
+ * core/history.js
+ *
+ * Functions for persisting job run history to a Waterline model
+ */
+
+const { parseDuration } = require('./scheduler')
+const store = require('./store')
+
+// Model the hook registers when the app doesn't provide one
+const MODEL = {
+  identity: 'questrun',
+  globalId: 'QuestRun',
+  attributes: {
+    name: { type: 'string', required: true },
+    inputs: { type: 'json' },
+    trigger: {
+      type: 'string',
+      isIn: [
+        'schedule',
+        'manual',
+        'retry',
+        'catch-up',
+        'dependency',
+        'dispatch'
+      ]
+    },
+    status: {
+      type: 'string',
+      isIn: ['success', 'error', 'timeout', 'cancelled']
+    },
+    attempt: { type: 'number' },
+    startedAt: { type: 'number' },
+    endedAt: { type: 'number' },
+    duration: { type: 'number' },
+    exitCode: { type: 'number', allowNull: true },
+    error: { type: 'json' },
+    runId: { type: 'string' }
+  }
+}
+
+// How often old records are pruned when a retention period is set
+const PRUNE_INTERVAL = 60 * 60 * 1000
+
+/**
+ * Register the built-in history model with the ORM
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ */
+function registerModel(sailsConfig) {
+  const historyConfig = sailsConfig.quest.history || {}
+  if (!historyConfig.enabled) return
+
+  store.registerModel(sailsConfig, MODEL, historyConfig)
+}
+
+/**
+ * Resolve the Waterline model used to store history
+ * @param {Object} historyConfig - Quest history configuration
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @returns {Object|null} Model or null if history is disabled
+ */
+function resolveModel(historyConfig = {}, models = {}) {
+  if (!historyConfig.enabled) return null
+
+  return store.getModel(models, MODEL, historyConfig, 'history.model')
+}
+
+/**
+ * Persist a single run record
+ * @param {Object} run - Run details
+ * @param {Object} context - Context with historyModel
+ */
+async function recordRun(run, context = {}) {
+  const { historyModel } = context
+  if (!historyModel) return
+
+  try {
+    await historyModel.create({
+      name: run.name,
+      inputs: run.inputs,
+      trigger: run.trigger,
+      status: run.status,
+      attempt: run.attempt,
+      startedAt: run.startedAt,
+      endedAt: run.endedAt,
+      duration: run.endedAt - run.startedAt,
+      exitCode: run.exitCode ?? null,
+      error: run.error,
+      // Only models with a runId attribute (like the built-in one) store it
+      ...(historyModel.attributes && historyModel.attributes.runId
+        ? { runId: run.runId }
+        : {})
+    })
+  } catch (err) {
+    // Never fail a job because its history couldn't be written
+    if (global.sails) {
+      sails.log.error(`Could not record history for job "${run.name}":`, err)
+    }
+  }
+}
+
+/**
+ * Query recent runs of a job, newest first
+ * @param {String} name - Job name (all jobs if omitted)
+ * @param {Object} options - Query options
+ * @param {Number} options.limit - Maximum records to return
+ * @param {Object} context - Context with historyModel
+ * @returns {Promise<Array>} Run records
+ */
+async function getHistory(name, options = {}, context = {}) {
+  const { historyModel } = context
+  if (!historyModel) {
+    throw new Error(
+      'Quest history is disabled. Set config.quest.history.enabled to true.'
+    )
+  }
+
+  const criteria = name ? { name } : {}
+  return historyModel
+    .find(criteria)
+    .sort('startedAt DESC')
+    .limit(options.limit || 20)
+}
+
+/**
+ * Delete records older than the configured retention period
+ * @param {Object} context - Context with historyModel and config
+ * @returns {Promise<Number>} Number of records deleted
+ */
+async function pruneHistory(context = {}) {
+  const { historyModel, config = {} } = context
+  const retention = parseDuration(config.history?.retention)
+  if (!historyModel || !retention) return 0
+
+  try {
+    const pruned = await historyModel
+      .destroy({ startedAt: { '<': Date.now() - retention } })
+      .fetch()
+    if (global.sails && pruned.length) {
+      sails.log.verbose(`Pruned ${pruned.length} Quest history record(s)`)
+    }
+    return pruned.length
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error('Could not prune Quest history:', err)
+    }
+    return 0
+  }
+}
+
+/**
+ * Prune now and then periodically
+ * @param {Object} context - Context with historyModel and config
+ * @returns {Object|null} Interval handle or null if there's nothing to prune
+ */
+function startPruning(context = {}) {
+  const { historyModel, config = {} } = context
+  if (!historyModel || !parseDuration(config.history?.retention)) return null
+
+  pruneHistory(context)
+  const timer = setInterval(() => pruneHistory(context), PRUNE_INTERVAL)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  registerModel,
+  resolveModel,
+  recordRun,
+  getHistory,
+  pruneHistory,
+  startPruning
+}
@@ -0,0 +1,191 @@
+/**
+ * core/inline.js
+ *
+ * Functions for running job scripts inside the already-lifted Sails app
+ */
+
+const { getScriptPath } = require('./loader')
+const { isAnalog } = require('./machine')
+
+/**
+ * Load a script's machine definition
+ * @param {String} name - Script name
+ * @param {Object} config - Quest configuration
+ * @returns {Object} Machine definition
+ */
+function loadScript(name, config = {}) {
+  const def = require(getScriptPath(name, config))
+
+  if (!def || typeof def.fn !== 'function') {
+    const error = new Error(`Job "${name}": script does not export an \`fn\``)
+    error.retryable = false
+    throw error
+  }
+
+  return def
+}
+
+/**
+ * Check values against a script's inputs the way `sails run` would
+ * @param {String} name - Script name
+ * @param {Object} inputDefs - Script's inputs definition (Sails machine format)
+ * @param {Object} inputs - Input values
+ * @returns {Object} Inputs with defaults applied
+ * @throws {Error} If an input is missing or the wrong type (not retryable)
+ */
+function validateInputs(name, inputDefs = {}, inputs = {}) {
+  const problems = []
+  const validated = {}
+
+  // Inputs the script doesn't declare are dropped rather than passed on
+  for (const key of Object.keys(inputs)) {
+    if (!inputDefs[key] && global.sails) {
+      sails.log.verbose(`Job "${name}": ignoring unrecognized input "${key}"`)
+    }
+  }
+
+  for (const [key, def] of Object.entries(inputDefs)) {
+    let value = inputs[key]
+
+    if (value === undefined && def.defaultsTo !== undefined) {
+      value = def.defaultsTo
+    }
+
+    if (value === undefined) {
+      if (def.required) {
+        problems.push(`"${key}" is required`)
+      }
+      continue
+    }
+
+    if (!isValidType(value, def.type)) {
+      problems.push(`"${key}" should be a ${def.type} but got ${typeof value}`)
+    } else if (Array.isArray(def.isIn) && !def.isIn.includes(value)) {
+      problems.push(`"${key}" should be one of: ${def.isIn.join(', ')}`)
+    }
+
+    validated[key] = value
+  }
+
+  if (problems.length) {
+    const error = new Error(
+      `Job "${name}" received invalid inputs: ${problems.join('; ')}`
+    )
+    error.retryable = false
+    throw error
+  }
+
+  return validated
+}
+
+/**
+ * Check a value against a machine input type
+ * @param {*} value - Input value
+ * @param {String} type - 'string', 'number', 'boolean', 'json' or 'ref'
+ * @returns {Boolean} Whether the value matches
+ */
+function isValidType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'json':
+      return value !== null && typeof value !== 'function'
+    default:
+      return true
+  }
+}
+
+/**
+ * Call a script's `fn`, settling on its return value or its exits
+ * @param {String} name - Script name
+ * @param {Object} def - Machine definition
+ * @param {Object} inputs - Validated inputs
+ * @returns {Promise} Resolves with the script's output
+ */
+function callFn(name, def, inputs) {
+  return new Promise((resolve, reject) => {
+    const exits = {
+      success: resolve,
+      error: (err) =>
+        reject(err instanceof Error ? err : new Error(String(err)))
+    }
+
+    // Any other exit is a failure, same as with `sails run`
+    for (const exitName of Object.keys(def.exits || {})) {
+      if (exits[exitName]) continue
+      exits[exitName] = (output) => {
+        const error = new Error(
+          `Job "${name}" exited through "${exitName}" exit`
+        )
+        error.exit = exitName
+        error.output = output
+        reject(error)
+      }
+    }
+
+    const env = { sails: global.sails }
+
+    try {
+      // Classical functions only take inputs and succeed with their return value
+      if (!isAnalog(def)) {
+        return Promise.resolve(def.fn.call(env, inputs)).then(resolve, reject)
+      }
+
+      const result = def.fn.call(env, inputs, exits, env)
+      // Async functions succeed with their return value
+      if (result && typeof result.then === 'function') {
+        result.then(resolve, reject)
+      }
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * Run a script once inside this process
+ * @param {String} name - Script name
+ * @param {Object} inputs - Merged input values
+ * @param {Object} config - Quest configuration
+ * @param {Object} options - Run options
+ * @param {Number} options.maxRuntime - Milliseconds before the run is abandoned
+ * @param {Function} options.onCall - Called with the promise of the script's `fn`, which can outlive the run
+ * @returns {Promise} Resolves with the script's output
+ */
+async function runInline(name, inputs, config = {}, options = {}) {
+  const def = loadScript(name, config)
+  const validated = validateInputs(name, def.inputs, inputs)
+  const run = callFn(name, def, validated)
+  if (options.onCall) options.onCall(run)
+
+  if (!options.maxRuntime) return run
+
+  // Inline code can't be killed, so a timeout only stops waiting for it
+  let runtimeTimer
+  const timeout = new Promise((resolve, reject) => {
+    runtimeTimer = setTimeout(() => {
+      const error = new Error(
+        `Job "${name}" timed out after ${options.maxRuntime}ms`
+      )
+      error.timedOut = true
+      error.retryable = false
+      reject(error)
+    }, options.maxRuntime)
+  })
+
+  try {
+    return await Promise.race([run, timeout])
+  } finally {
+    clearTimeout(runtimeTimer)
+  }
+}
+
+module.exports = {
+  loadScript,
+  validateInputs,
+  runInline
+}
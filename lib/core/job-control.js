@@ -4,6 +4,12 @@
  * Functions for controlling job lifecycle (start, stop, pause, resume)
  */
 
+const lock = require('./lock')
+const catchUp = require('./catch-up')
+const dependencies = require('./dependencies')
+const scheduled = require('./scheduled')
+const expiry = require('./expiry')
+
 // setTimeout uses a 32-bit signed integer internally.
 // Delays larger than this overflow and fire immediately (~1ms), causing infinite loops.
 const MAX_SAFE_TIMEOUT = 2_147_483_647 // 2^31 - 1, ~24.8 days
@@ -14,12 +20,7 @@ const MAX_SAFE_TIMEOUT = 2_147_483_647 // 2^31 - 1, ~24.8 days
  * @param {Object} context - Context with jobs, timers maps and helper functions
  */
 function scheduleJob(name, context = {}) {
-  const {
-    jobs = new Map(),
-    timers = new Map(),
-    getNextRunTime,
-    executeJob
-  } = context
+  const { jobs = new Map(), timers = new Map(), getNextRunTime } = context
 
   const job = jobs.get(name)
   if (!job) {
@@ -32,9 +33,42 @@ function scheduleJob(name, context = {}) {
   // Clear any existing timer
   stopJob(name, { timers })
 
+  // One-off jobs from sails.quest.schedule() that came due while the app was down
+  if (job.dynamic && new Date(job.date) <= new Date()) {
+    if (global.sails) {
+      sails.log.info(
+        `Scheduled job "${name}" was due at ${job.date}, running now`
+      )
+    }
+    runScheduledJob(name, context, new Date(job.date))
+    return
+  }
+
+  // Jobs that used up their maxRuns or passed their endAt are retired
+  const reason = expiry.getExpiryReason(job)
+  if (reason) {
+    expiry.expire(job, reason, context)
+    return
+  }
+
   // Get the next run time
   const nextRun = getNextRunTime(job)
   if (!nextRun) {
+    // No runs left before the job's end
+    if (job.endAt) {
+      expiry.expire(job, 'endAt', context)
+      return
+    }
+
+    // Jobs that only run after other jobs don't need a schedule
+    if (job.after.length) {
+      if (global.sails) {
+        sails.log.verbose(
+          `Job "${name}" has no schedule, it runs after: ${job.after.map((l) => l.name).join(', ')}`
+        )
+      }
+      return
+    }
     if (global.sails) {
       sails.log.warn(
         `Job "${name}" has no valid schedule (interval: ${job.interval}, cron: ${job.cron}, timeout: ${job.timeout})`
@@ -47,16 +81,7 @@ function scheduleJob(name, context = {}) {
 
   // If delay is negative (past time), run immediately
   if (delay <= 0) {
-    executeJob(name).catch((err) => {
-      if (global.sails) {
-        sails.log.error(`Error running job "${name}":`, err)
-      }
-    })
-
-    // If it's a recurring job, schedule the next run
-    if (job.interval || job.cron) {
-      scheduleJob(name, context)
-    }
+    fireJob(name, job, context, nextRun)
     return
   }
 
@@ -79,23 +104,129 @@ function scheduleJob(name, context = {}) {
 
   // Set timer for the next execution
   const timer = setTimeout(() => {
-    executeJob(name).catch((err) => {
+    fireJob(name, job, context, nextRun)
+  }, delay)
+
+  timers.set(name, timer)
+
+  if (global.sails) {
+    sails.log.verbose(`Job "${name}" scheduled for ${nextRun.toISOString()}`)
+  }
+}
+
+/**
+ * Run a job that came due and schedule its next run
+ * Fixed-delay intervals are rescheduled once the run finishes; everything
+ * else is rescheduled straight away
+ * @param {String} name - Job name
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with timers map and helper functions
+ * @param {Date} scheduledAt - Time the run was scheduled for
+ */
+function fireJob(name, job, context, scheduledAt) {
+  const { timers = new Map() } = context
+  const run = runScheduledJob(name, context, scheduledAt)
+
+  // One-off jobs don't repeat
+  if (!job.interval && !job.cron) return
+
+  if (job.interval && job.intervalMode === 'fixed-delay') {
+    // Hold the job's timer slot while it runs, so stopping the job (which
+    // clears the slot) also cancels the reschedule
+    const pending = {}
+    timers.set(name, pending)
+    run.then(() => {
+      if (timers.get(name) === pending) {
+        scheduleJob(name, context)
+      }
+    })
+    return
+  }
+
+  scheduleJob(name, context)
+}
+
+/**
+ * Run a job for its schedule, holding the distributed lock if one is configured
+ * @param {String} name - Job name
+ * @param {Object} context - Context with executeJob function and lock adapter
+ * @param {Date} scheduledAt - Time the run was scheduled for
+ * @returns {Promise} Resolves when the run finishes or is skipped
+ */
+function runScheduledJob(name, context = {}, scheduledAt = new Date()) {
+  const { jobs = new Map(), executeJob } = context
+
+  return lock
+    .withLock(
+      name,
+      async () => {
+        // Only the instance holding the lock moves the catch-up marker
+        const job = jobs.get(name)
+        if (job) {
+          if (!(await expiry.claimRun(job, context))) {
+            return { skipped: true, reason: 'maxRuns' }
+          }
+          await catchUp.recordScheduledRun(job, scheduledAt, context)
+        }
+
+        const result = await executeJob(name, {}, { trigger: 'schedule' })
+        // Paused or overlapping runs don't happen, so they don't count
+        if (job && result && result.skipped) {
+          await expiry.releaseRun(job, context)
+        }
+        return result
+      },
+      context
+    )
+    .catch((err) => {
       if (global.sails) {
         sails.log.error(`Error running job "${name}":`, err)
       }
     })
+    .finally(() => {
+      // One-off jobs from sails.quest.schedule() are done once their time has come
+      const job = jobs.get(name)
+      if (job && job.dynamic) {
+        return scheduled.complete(name, context)
+      }
 
-    // If it's a recurring job, schedule the next run
-    if (job.interval || job.cron) {
-      scheduleJob(name, context)
-    }
-  }, delay)
+      // Retire the job once its last run is done
+      if (job && expiry.getExpiryReason(job) === 'maxRuns') {
+        stopJob(name, context)
+        return expiry.expire(job, 'maxRuns', context)
+      }
+    })
+}
 
-  timers.set(name, timer)
+/**
+ * Run the jobs chained to a job that just finished
+ * @param {String} name - Name of the job that finished
+ * @param {Object} outcome - { success, result } of the finished run
+ * @param {Object} context - Context with jobs map and executeJob function
+ * @returns {Array<String>} Names of the jobs triggered
+ */
+function triggerDownstream(name, outcome = {}, context = {}) {
+  const { jobs = new Map(), executeJob } = context
 
-  if (global.sails) {
-    sails.log.verbose(`Job "${name}" scheduled for ${nextRun.toISOString()}`)
+  // Plain scripts run by name can still have jobs waiting on them
+  const job = jobs.get(name) || { name }
+  const links = dependencies.getDownstream(job, jobs, Boolean(outcome.success))
+  for (const link of links) {
+    if (global.sails) {
+      sails.log.verbose(
+        `Job "${name}" ${outcome.success ? 'succeeded' : 'failed'}, triggering "${link.name}"`
+      )
+    }
+
+    const inputs = dependencies.buildDownstreamInputs(link, outcome.result)
+    executeJob(link.name, inputs, { trigger: 'dependency' }).catch((err) => {
+      if (global.sails) {
+        sails.log.error(`Error running job "${link.name}":`, err)
+      }
+    })
   }
+
+  return links.map((link) => link.name)
 }
 
 /**
@@ -121,8 +252,10 @@ function stopJob(name, context = {}) {
  * Start scheduling jobs
  * @param {String|Array} jobNames - Job names to start (optional)
  * @param {Object} context - Context with jobs map and scheduleJob function
+ * @param {Object} options - Start options
+ * @param {Boolean} options.catchUp - Run missed runs before scheduling (used on lift)
  */
-async function startJobs(jobNames, context = {}) {
+async function startJobs(jobNames, context = {}, options = {}) {
   const { jobs = new Map(), scheduleJob } = context
 
   const names = !jobNames
@@ -132,7 +265,28 @@ async function startJobs(jobNames, context = {}) {
       : [jobNames]
 
   for (const name of names) {
-    scheduleJob(name)
+    const job = jobs.get(name)
+    const catchingUp = options.catchUp && job && job.catchUp !== 'none'
+    const bounded = job && (job.maxRuns || job.endAt)
+    if (!catchingUp && !bounded) {
+      scheduleJob(name)
+      continue
+    }
+
+    // Restore run counts and catch up in the background, then schedule as usual
+    expiry
+      .restoreState(job, context)
+      .then(() =>
+        catchingUp && !expiry.getExpiryReason(job)
+          ? catchUp.catchUpJob(name, context)
+          : []
+      )
+      .catch((err) => {
+        if (global.sails) {
+          sails.log.error(`Error catching up job "${name}":`, err)
+        }
+      })
+      .then(() => scheduleJob(name))
   }
 }
 
@@ -204,6 +358,8 @@ function resumeJob(name, jobs = new Map()) {
 
 module.exports = {
   scheduleJob,
+  runScheduledJob,
+  triggerDownstream,
   stopJob,
   startJobs,
   stopJobs,
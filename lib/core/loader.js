@@ -4,8 +4,43 @@
  * Functions for loading and managing job definitions
  */
 
+const fs = require('fs')
 const path = require('path')
+const _ = require('@sailshq/lodash')
 const includeAll = require('include-all')
+const { normalizeBackoff } = require('./retry')
+const { parseDuration, validateSchedule } = require('./scheduler')
+const dependencies = require('./dependencies')
+const calendar = require('./calendar')
+const lock = require('./lock')
+
+// Options a config job passes on to a script job of the same name
+// (schedules are deliberately excluded so the script's schedule wins)
+const INHERITED_OPTIONS = [
+  'withoutOverlapping',
+  'retries',
+  'backoff',
+  'maxRuntime',
+  'expectSuccessWithin',
+  'catchUp',
+  'catchUpLimit',
+  'executionMode',
+  'intervalMode',
+  'after',
+  'onSuccess',
+  'onFailure',
+  'group',
+  'priority',
+  'skipDates',
+  'excludeWindows',
+  'calendar'
+]
+
+const CATCH_UP_POLICIES = ['none', 'once', 'all']
+
+const EXECUTION_MODES = ['process', 'inline', 'pool']
+
+const INTERVAL_MODES = ['fixed-rate', 'fixed-delay']
 
 /**
  * Extract default values from a script's inputs schema
@@ -28,9 +63,10 @@ function extractScriptInputDefaults(inputs) {
  * Load jobs from scripts directory and config
  * @param {Object} config - Quest configuration
  * @param {Map} jobs - Jobs map to populate
+ * @param {Object} scheduledStore - Store of one-off jobs created with sails.quest.schedule()
  * @returns {Promise<Map>} Populated jobs map
  */
-async function loadJobs(config, jobs = new Map()) {
+async function loadJobs(config, jobs = new Map(), scheduledStore = null) {
   // First, load scripts from the scripts directory
   const scriptsDir = config.scriptsDir || 'scripts'
   const appPath = config.appPath || process.cwd()
@@ -82,33 +118,134 @@ async function loadJobs(config, jobs = new Map()) {
     if (!scriptDef.quest) continue
 
     const scriptName = scriptFile.replace(/\.js$/, '')
-    const questConfig = scriptDef.quest
-    const jobName = questConfig.name || scriptName
-
-    // Extract default values from script's inputs schema
-    const scriptInputs = extractScriptInputDefaults(scriptDef.inputs)
+    const jobName = scriptDef.quest.name || scriptName
 
     // Check if job was already defined in config
     const existingJob = jobs.get(jobName)
 
-    // Merge: config as base, script quest config takes priority
-    const jobDef = {
-      name: jobName,
-      friendlyName: scriptDef.friendlyName,
-      description: scriptDef.description,
-      // Preserve config's withoutOverlapping if script doesn't specify
-      withoutOverlapping: existingJob?.withoutOverlapping,
-      inputs: { ...existingJob?.inputs, ...questConfig.inputs },
-      ...questConfig,
-      scriptInputs
-    }
+    addJobDefinition(
+      buildScriptJobDefinition(scriptName, scriptDef, existingJob),
+      jobs,
+      config
+    )
+  }
 
-    addJobDefinition(jobDef, jobs, config)
+  // Finally, restore one-off jobs created at runtime
+  if (scheduledStore) {
+    for (const record of await scheduledStore.list()) {
+      try {
+        addScheduledJob(record, jobs, config)
+      } catch (err) {
+        if (global.sails) {
+          sails.log.warn(
+            `Skipping scheduled job "${record.name}":`,
+            err.message
+          )
+        }
+      }
+    }
   }
 
   return jobs
 }
 
+/**
+ * Build the definition of a job from a script's quest config
+ * @param {String} scriptName - Script name
+ * @param {Object} scriptDef - Script module with a quest property
+ * @param {Object} configJob - Normalized job of the same name from config (optional)
+ * @returns {Object} Job definition
+ */
+function buildScriptJobDefinition(scriptName, scriptDef, configJob) {
+  const questConfig = scriptDef.quest
+
+  // Merge: config as base, script quest config takes priority
+  return {
+    name: questConfig.name || scriptName,
+    friendlyName: scriptDef.friendlyName,
+    description: scriptDef.description,
+    // Preserve config's options if script doesn't specify them
+    ..._.pick(configJob, INHERITED_OPTIONS),
+    inputs: { ...configJob?.inputs, ...questConfig.inputs },
+    ...questConfig,
+    script: scriptName,
+    // Extract default values from script's inputs schema
+    scriptInputs: extractScriptInputDefaults(scriptDef.inputs)
+  }
+}
+
+/**
+ * Reload the job defined by a script, e.g. after the file changed
+ * The script is required afresh. Its job is registered again from its quest
+ * config (merged with config/quest.js as on lift), falls back to the config
+ * job of the same name, or is removed along with the script.
+ * @param {String} scriptName - Script name
+ * @param {Object} config - Quest configuration
+ * @param {Map} jobs - Jobs map
+ * @param {Map} timers - Timers map
+ * @returns {Object} { job, removed }: the registered job (or null) and names of the jobs removed
+ */
+function reloadScript(scriptName, config = {}, jobs = new Map(), timers) {
+  const scriptPath = path.resolve(
+    config.appPath || process.cwd(),
+    config.scriptsDir || 'scripts',
+    `${scriptName}.js`
+  )
+
+  delete require.cache[scriptPath]
+  const scriptDef = fs.existsSync(scriptPath) ? require(scriptPath) : null
+
+  const jobName = scriptDef?.quest?.name || scriptName
+  const configDef = findConfigJob(jobName, config)
+
+  let job = null
+  if (scriptDef && scriptDef.quest) {
+    const configJob = configDef
+      ? addJobDefinition(configDef, new Map(), config)
+      : null
+    job = addJobDefinition(
+      buildScriptJobDefinition(scriptName, scriptDef, configJob),
+      jobs,
+      config
+    )
+  } else if (scriptDef && configDef) {
+    job = addJobDefinition(
+      {
+        ...configDef,
+        scriptInputs: extractScriptInputDefaults(scriptDef.inputs)
+      },
+      jobs,
+      config
+    )
+  }
+
+  // Drop jobs this script no longer defines (it was deleted, lost its quest
+  // config or was renamed with quest.name)
+  const removed = []
+  for (const [name, existing] of jobs) {
+    if (existing.dynamic || existing.script !== scriptName) continue
+    if (job && name === job.name) continue
+    removeJob(name, jobs, timers)
+    removed.push(name)
+  }
+
+  return { job, removed }
+}
+
+/**
+ * Find a job's definition in config.jobs
+ * @param {String} name - Job name
+ * @param {Object} config - Quest configuration
+ * @returns {Object|null} Job definition (string shorthands expanded) or null
+ */
+function findConfigJob(name, config = {}) {
+  for (const jobDef of config.jobs || []) {
+    const def = typeof jobDef === 'string' ? { name: jobDef } : jobDef
+    if (def.name === name) return def
+  }
+  return null
+}
+
 /**
  * Add a job definition to the jobs Map
  * @param {Object} jobDef - Job definition
@@ -131,6 +268,10 @@ function addJobDefinition(jobDef, jobs = new Map(), config = {}) {
     friendlyName: jobDef.friendlyName || name,
     description: jobDef.description,
 
+    // Script to run (differs from the name for jobs created with sails.quest.schedule())
+    script: jobDef.script || name,
+    dynamic: Boolean(jobDef.dynamic),
+
     // Scheduling options
     interval: jobDef.interval,
     timeout: jobDef.timeout,
@@ -139,6 +280,24 @@ function addJobDefinition(jobDef, jobs = new Map(), config = {}) {
     date: jobDef.date,
     timezone: jobDef.timezone,
 
+    // Intervals run on a fixed grid from startAt, or from when the job was
+    // added ('fixed-rate'), or the interval after the previous run finished
+    // ('fixed-delay')
+    intervalMode: jobDef.intervalMode ?? config.intervalMode ?? 'fixed-rate',
+    addedAt: Date.now(),
+
+    // When the schedule starts and ends, and how many scheduled runs it has
+    startAt: parseBound(name, 'startAt', jobDef.startAt),
+    endAt: parseBound(name, 'endAt', jobDef.endAt),
+    maxRuns: jobDef.maxRuns ?? null,
+    runCount: 0,
+    expired: false,
+
+    // Days and times of day the job must not run (in the job's timezone)
+    calendar: jobDef.calendar || null,
+    skipDates: calendar.resolveSkipDates(jobDef, config),
+    excludeWindows: calendar.normalizeWindows(jobDef.excludeWindows, name),
+
     // Input data to pass to the script
     inputs: jobDef.inputs || {},
     scriptInputs: jobDef.scriptInputs || {},
@@ -146,7 +305,82 @@ function addJobDefinition(jobDef, jobs = new Map(), config = {}) {
     // Control options
     paused: false,
     withoutOverlapping:
-      jobDef.withoutOverlapping ?? config.withoutOverlapping ?? true
+      jobDef.withoutOverlapping ?? config.withoutOverlapping ?? true,
+
+    // Retry options
+    retries: jobDef.retries ?? config.retries ?? 0,
+    backoff: normalizeBackoff(jobDef.backoff ?? config.backoff),
+
+    // Kill the run if it takes longer than this (ms)
+    maxRuntime: parseDurationOption(
+      name,
+      'maxRuntime',
+      jobDef.maxRuntime ?? config.maxRuntime
+    ),
+
+    // Alert if the job hasn't succeeded for this long (ms)
+    expectSuccessWithin: parseDurationOption(
+      name,
+      'expectSuccessWithin',
+      jobDef.expectSuccessWithin
+    ),
+
+    // Runs missed while the app was down
+    catchUp: jobDef.catchUp ?? config.catchUp ?? 'none',
+    catchUpLimit: jobDef.catchUpLimit ?? config.catchUpLimit ?? 10,
+
+    // Run via `sails run` ('process'), inside this app ('inline') or on a worker ('pool')
+    executionMode: jobDef.executionMode ?? config.executionMode ?? 'process',
+
+    // Chaining: run after other jobs succeed, or trigger jobs when this one finishes
+    after: dependencies.normalizeLinks(jobDef.after, name, 'after'),
+    onSuccess: dependencies.normalizeLinks(jobDef.onSuccess, name, 'onSuccess'),
+    onFailure: dependencies.normalizeLinks(jobDef.onFailure, name, 'onFailure'),
+
+    // Concurrency: the group the job's runs count against, and its queue priority
+    group: jobDef.group || null,
+    priority: jobDef.priority ?? 0
+  }
+
+  if (!CATCH_UP_POLICIES.includes(job.catchUp)) {
+    throw new Error(
+      `Job "${name}": Invalid catchUp "${job.catchUp}". Use one of: ${CATCH_UP_POLICIES.join(', ')}`
+    )
+  }
+
+  if (!EXECUTION_MODES.includes(job.executionMode)) {
+    throw new Error(
+      `Job "${name}": Invalid executionMode "${job.executionMode}". Use one of: ${EXECUTION_MODES.join(', ')}`
+    )
+  }
+
+  if (!INTERVAL_MODES.includes(job.intervalMode)) {
+    throw new Error(
+      `Job "${name}": Invalid intervalMode "${job.intervalMode}". Use one of: ${INTERVAL_MODES.join(', ')}`
+    )
+  }
+
+  if (job.startAt && job.endAt && job.endAt <= job.startAt) {
+    throw new Error(`Job "${name}": endAt must be after startAt`)
+  }
+
+  if (
+    job.maxRuns !== null &&
+    !(Number.isInteger(job.maxRuns) && job.maxRuns > 0)
+  ) {
+    throw new Error(
+      `Job "${name}": Invalid maxRuns "${job.maxRuns}". Use a positive whole number.`
+    )
+  }
+
+  validateSchedule(job, config)
+  lock.checkTtl(job, config)
+
+  const cycle = dependencies.findCycle(job, jobs)
+  if (cycle) {
+    throw new Error(
+      `Job "${name}": Dependencies form a cycle: ${cycle.join(' -> ')}`
+    )
   }
 
   jobs.set(name, job)
@@ -162,6 +396,94 @@ function addJobDefinition(jobDef, jobs = new Map(), config = {}) {
   return job
 }
 
+/**
+ * Add a one-off job saved by sails.quest.schedule() to the jobs Map
+ * @param {Object} record - Saved record with name, script, date, inputs and options
+ * @param {Map} jobs - Jobs map
+ * @param {Object} config - Quest configuration
+ * @returns {Object} Normalized job
+ */
+function addScheduledJob(record, jobs = new Map(), config = {}) {
+  const existing = jobs.get(record.name)
+  if (existing && !existing.dynamic) {
+    throw new Error(
+      `Job "${record.name}" is already defined and can't be replaced by a scheduled job`
+    )
+  }
+
+  return addJobDefinition(
+    {
+      ...record.options,
+      name: record.name,
+      script: record.script,
+      date: record.date,
+      inputs: record.inputs || {},
+      dynamic: true
+    },
+    jobs,
+    config
+  )
+}
+
+/**
+ * Parse a job's duration option (like maxRuntime) into milliseconds
+ * @param {String} name - Job name
+ * @param {String} field - Option name (for error messages)
+ * @param {String|Number} value - Milliseconds or human-readable duration
+ * @returns {Number|null} Milliseconds or null if not set
+ */
+function parseDurationOption(name, field, value) {
+  if (value === undefined || value === null || value === false) {
+    return null
+  }
+
+  const ms = parseDuration(value)
+  if (!ms) {
+    throw new Error(`Job "${name}": Invalid ${field} "${value}"`)
+  }
+  return ms
+}
+
+/**
+ * Parse a job's startAt or endAt
+ * @param {String} name - Job name
+ * @param {String} field - Option name (for error messages)
+ * @param {Date|String|Number} value - Date, ISO string or timestamp
+ * @returns {Date|null} Date or null if not set
+ */
+function parseBound(name, field, value) {
+  if (value === undefined || value === null) return null
+
+  const date = new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new Error(`Job "${name}": Invalid ${field} "${value}"`)
+  }
+  return date
+}
+
+/**
+ * Resolve the path of a job's script
+ * @param {String} name - Script name
+ * @param {Object} config - Quest configuration
+ * @returns {String} Absolute path of the script
+ * @throws {Error} If the script does not exist (not retryable)
+ */
+function getScriptPath(name, config = {}) {
+  const appPath = config.appPath || process.cwd()
+  const scriptsDir = config.scriptsDir || 'scripts'
+  const scriptPath = path.resolve(appPath, scriptsDir, `${name}.js`)
+
+  if (!fs.existsSync(scriptPath)) {
+    const error = new Error(
+      `Job "${name}" not found. Please check that the script exists at ${scriptsDir}/${name}.js`
+    )
+    error.retryable = false
+    throw error
+  }
+
+  return scriptPath
+}
+
 /**
  * Remove a job from the jobs map
  * @param {String} name - Job name
@@ -191,6 +513,11 @@ function removeJob(name, jobs = new Map(), timers = new Map()) {
 module.exports = {
   loadJobs,
   addJobDefinition,
+  addScheduledJob,
+  buildScriptJobDefinition,
+  reloadScript,
+  findConfigJob,
   removeJob,
+  getScriptPath,
   extractScriptInputDefaults
 }
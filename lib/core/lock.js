@@ -0,0 +1,280 @@
+/**
+ * core/lock.js
+ *
+ * Lock adapters that make sure only one Sails instance runs each scheduled job
+ *
+ * An adapter is any object with these async methods:
+ *   acquire(key, owner, ttl) -> Boolean (true if owner already holds the lock)
+ *   renew(key, owner, ttl)   -> Boolean
+ *   release(key, owner)      -> Boolean
+ */
+
+const crypto = require('crypto')
+const os = require('os')
+const { parseDuration, previewSchedule } = require('./scheduler')
+const store = require('./store')
+
+const MODEL = {
+  identity: 'questlock',
+  globalId: 'QuestLock',
+  attributes: {
+    key: { type: 'string', required: true, unique: true },
+    owner: { type: 'string', required: true },
+    expiresAt: { type: 'number', required: true }
+  }
+}
+
+/**
+ * Create an in-memory lock adapter
+ * Only coordinates runs within one process, useful for development and tests
+ * @returns {Object} Lock adapter
+ */
+function createMemoryAdapter() {
+  const locks = new Map()
+
+  const isHeld = (key) => {
+    const lock = locks.get(key)
+    return lock && lock.expiresAt > Date.now()
+  }
+
+  return {
+    async acquire(key, owner, ttl) {
+      if (isHeld(key) && locks.get(key).owner !== owner) return false
+      locks.set(key, { owner, expiresAt: Date.now() + ttl })
+      return true
+    },
+
+    async renew(key, owner, ttl) {
+      if (!isHeld(key) || locks.get(key).owner !== owner) return false
+      locks.get(key).expiresAt = Date.now() + ttl
+      return true
+    },
+
+    async release(key, owner) {
+      if (!locks.has(key) || locks.get(key).owner !== owner) return false
+      return locks.delete(key)
+    }
+  }
+}
+
+/**
+ * Create a lock adapter backed by a Waterline model
+ * The model needs `key` (unique), `owner` and `expiresAt` attributes
+ * @param {Object} model - Waterline model
+ * @returns {Object} Lock adapter
+ */
+function createDatabaseAdapter(model) {
+  return {
+    async acquire(key, owner, ttl) {
+      const now = Date.now()
+
+      // Take over an expired lock or extend our own; the criteria make this a
+      // single atomic update
+      const taken = await model
+        .update({ key, or: [{ expiresAt: { '<=': now } }, { owner }] })
+        .set({ owner, expiresAt: now + ttl })
+        .fetch()
+      if (taken.length) return true
+
+      // Otherwise try to create it; the unique `key` rejects concurrent creates
+      try {
+        await model.create({ key, owner, expiresAt: now + ttl })
+        return true
+      } catch (err) {
+        if (err.code === 'E_UNIQUE') return false
+        throw err
+      }
+    },
+
+    async renew(key, owner, ttl) {
+      const renewed = await model
+        .update({ key, owner })
+        .set({ expiresAt: Date.now() + ttl })
+        .fetch()
+      return renewed.length > 0
+    },
+
+    async release(key, owner) {
+      const released = await model.destroy({ key, owner }).fetch()
+      return released.length > 0
+    }
+  }
+}
+
+/**
+ * Create a lock adapter backed by Redis
+ * Expects an ioredis-compatible client (`eval`)
+ * @param {Object} client - Redis client
+ * @returns {Object} Lock adapter
+ */
+function createRedisAdapter(client) {
+  const ACQUIRE_SCRIPT =
+    'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) elseif redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then return 1 else return 0 end'
+  const RENEW_SCRIPT =
+    'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end'
+  const RELEASE_SCRIPT =
+    'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end'
+
+  return {
+    async acquire(key, owner, ttl) {
+      const result = await client.eval(ACQUIRE_SCRIPT, 1, key, owner, ttl)
+      return Number(result) === 1
+    },
+
+    async renew(key, owner, ttl) {
+      const result = await client.eval(RENEW_SCRIPT, 1, key, owner, ttl)
+      return Number(result) === 1
+    },
+
+    async release(key, owner) {
+      const result = await client.eval(RELEASE_SCRIPT, 1, key, owner)
+      return Number(result) === 1
+    }
+  }
+}
+
+/**
+ * Register the built-in lock model with the ORM
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ */
+function registerModel(sailsConfig) {
+  const lockConfig = sailsConfig.quest.lock || {}
+  if (lockConfig.adapter !== 'database') return
+
+  store.registerModel(sailsConfig, MODEL, lockConfig)
+}
+
+/**
+ * Create the lock adapter configured in `config.quest.lock`
+ * @param {Object} lockConfig - Quest lock configuration
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @returns {Object|null} Lock adapter or null if locking is disabled
+ */
+function createAdapter(lockConfig = {}, models = {}) {
+  if (!lockConfig.adapter) return null
+
+  return store.createStore(
+    lockConfig,
+    {
+      memory: () => createMemoryAdapter(),
+      database: () =>
+        createDatabaseAdapter(
+          store.getModel(models, MODEL, lockConfig, 'lock.model')
+        ),
+      redis: () => {
+        if (!lockConfig.client) {
+          throw new Error(
+            'The Quest redis lock adapter needs a client. Set config.quest.lock.client.'
+          )
+        }
+        return createRedisAdapter(lockConfig.client)
+      }
+    },
+    { name: 'lock', custom: 'an adapter object' }
+  )
+}
+
+/**
+ * Generate an owner token unique to this process
+ * @returns {String} Owner token
+ */
+function createOwner() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`
+}
+
+/**
+ * Warn when a job can be due again while its lock is still held
+ * A lock outlives a short run by up to the TTL, so another instance that
+ * fires first would skip the next run.
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @returns {Boolean} Whether the TTL is shorter than every gap between runs
+ */
+function checkTtl(job, config = {}) {
+  const lockConfig = config.lock || {}
+  if (!lockConfig.adapter) return true
+
+  const ttl = parseDuration(lockConfig.ttl) || 30000
+  const times = previewSchedule(job, config, 3).map(({ date }) =>
+    date.getTime()
+  )
+  const gaps = times.slice(1).map((time, i) => time - times[i])
+  if (!gaps.length || Math.min(...gaps) > ttl) return true
+
+  if (global.sails) {
+    sails.log.warn(
+      `Job "${job.name}" runs every ${Math.min(...gaps)}ms, which is not longer than lock.ttl (${ttl}ms). Runs can be skipped by other instances while the lock is held; lower lock.ttl.`
+    )
+  }
+  return false
+}
+
+/**
+ * Run a function while holding the lock for a job
+ * The lock is renewed while the function runs. It is only released early if
+ * the run took longer than the TTL, so instances whose timers fire slightly
+ * later can't run the same occurrence again.
+ * @param {String} name - Job name
+ * @param {Function} fn - Async function to run
+ * @param {Object} context - Context with lock adapter, lockOwner and config
+ * @returns {Promise} Result of fn, or a skipped result if the lock is held elsewhere
+ */
+async function withLock(name, fn, context = {}) {
+  const { lock, lockOwner, config = {} } = context
+  if (!lock) return fn()
+
+  const lockConfig = config.lock || {}
+  const ttl = parseDuration(lockConfig.ttl) || 30000
+  const key = `${lockConfig.prefix || 'quest:lock:'}${name}`
+
+  const acquired = await lock.acquire(key, lockOwner, ttl)
+  if (!acquired) {
+    if (global.sails) {
+      sails.log.verbose(
+        `Job "${name}" is locked by another instance, skipping...`
+      )
+    }
+    return { skipped: true, reason: 'locked' }
+  }
+
+  const acquiredAt = Date.now()
+  const renewTimer = setInterval(async () => {
+    try {
+      const renewed = await lock.renew(key, lockOwner, ttl)
+      if (!renewed && global.sails) {
+        sails.log.warn(`Lost the lock for job "${name}" while it was running`)
+      }
+    } catch (err) {
+      if (global.sails) {
+        sails.log.error(`Could not renew the lock for job "${name}":`, err)
+      }
+    }
+  }, ttl / 2)
+
+  try {
+    return await fn()
+  } finally {
+    clearInterval(renewTimer)
+    if (Date.now() - acquiredAt >= ttl) {
+      try {
+        await lock.release(key, lockOwner)
+      } catch (err) {
+        if (global.sails) {
+          sails.log.error(`Could not release the lock for job "${name}":`, err)
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createDatabaseAdapter,
+  createRedisAdapter,
+  registerModel,
+  createAdapter,
+  createOwner,
+  checkTtl,
+  withLock
+}
@@ -0,0 +1,26 @@
+/**
+ * core/machine.js
+ *
+ * Helpers for reading script (machine) definitions, shared by inline runs and
+ * the helper preloaded into `sails run` processes
+ */
+
+/**
+ * Tell whether a script's `fn` takes exits, the way `sails run` decides how to
+ * call it: "analog" functions take exits, "classical" ones only take inputs
+ * @param {Object} def - Machine definition
+ * @returns {Boolean} Whether `fn` is called with exits
+ */
+function isAnalog(def) {
+  if (def.implementationType) {
+    return def.implementationType === 'analog'
+  }
+
+  const source = def.fn.toString().replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '')
+  const params = source.slice(source.indexOf('(') + 1, source.indexOf(')'))
+  return /,\s*exits\s*(,\s*(env|meta)\s*)?$/.test(params)
+}
+
+module.exports = {
+  isAnalog
+}
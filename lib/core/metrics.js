@@ -0,0 +1,272 @@
+/**
+ * core/metrics.js
+ *
+ * Job metrics in the Prometheus text format: runs by outcome, a duration
+ * histogram, skipped runs, runs in progress, and each job's next run and last
+ * success. Counters are fed by the executor; gauges are read from the jobs,
+ * timers and running maps when the metrics are rendered.
+ */
+
+// Histogram buckets for run durations, in seconds
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 1800, 3600]
+
+/**
+ * Create a collector for job metrics
+ * @param {Object} metricsConfig - Quest metrics configuration
+ * @param {Array<Number>} metricsConfig.buckets - Duration histogram buckets in seconds
+ * @returns {Object} Collector with per-job counters and the histogram buckets
+ */
+function createCollector(metricsConfig = {}) {
+  const buckets = (metricsConfig.buckets || DEFAULT_BUCKETS)
+    .slice()
+    .sort((a, b) => a - b)
+
+  if (
+    !buckets.length ||
+    buckets.some((b) => !(typeof b === 'number' && b > 0))
+  ) {
+    throw new Error(
+      'Invalid metrics.buckets. Use a list of positive numbers of seconds.'
+    )
+  }
+
+  return { buckets, jobs: new Map() }
+}
+
+/**
+ * Get (creating if needed) the counters of a job
+ * @param {Object} collector - Metrics collector
+ * @param {String} name - Job name
+ * @returns {Object} Job counters
+ */
+function getJobMetrics(collector, name) {
+  if (!collector.jobs.has(name)) {
+    collector.jobs.set(name, {
+      runs: {},
+      skipped: {},
+      durations: {
+        buckets: collector.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      },
+      lastSuccessAt: null,
+      lastFailureAt: null
+    })
+  }
+  return collector.jobs.get(name)
+}
+
+/**
+ * Record a finished run (after any retries)
+ * @param {Object} run - Run with name, status ('success', 'error', 'timeout' or 'cancelled') and duration (ms)
+ * @param {Object} context - Context with metrics collector
+ */
+function recordRun(run, context = {}) {
+  const { metrics } = context
+  if (!metrics) return
+
+  const job = getJobMetrics(metrics, run.name)
+  job.runs[run.status] = (job.runs[run.status] || 0) + 1
+
+  const seconds = run.duration / 1000
+  metrics.buckets.forEach((bucket, i) => {
+    if (seconds <= bucket) job.durations.buckets[i]++
+  })
+  job.durations.sum += seconds
+  job.durations.count++
+
+  if (run.status === 'success') {
+    job.lastSuccessAt = Date.now()
+  } else {
+    job.lastFailureAt = Date.now()
+  }
+}
+
+/**
+ * Record a run that was skipped
+ * @param {String} name - Job name
+ * @param {String} reason - Why it was skipped ('already_running' or 'paused')
+ * @param {Object} context - Context with metrics collector
+ */
+function recordSkip(name, reason, context = {}) {
+  const { metrics } = context
+  if (!metrics) return
+
+  const job = getJobMetrics(metrics, name)
+  job.skipped[reason] = (job.skipped[reason] || 0) + 1
+}
+
+/**
+ * Render the metrics in the Prometheus text exposition format
+ * @param {Object} context - Context with metrics collector, jobs, timers and running maps and config
+ * @returns {String} Metrics text
+ */
+function render(context = {}) {
+  const {
+    metrics,
+    jobs = new Map(),
+    timers = new Map(),
+    running = new Map(),
+    getNextRunTime
+  } = context
+  if (!metrics) return ''
+
+  const lines = []
+  const family = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+    for (const [labels, value, suffix = ''] of samples) {
+      lines.push(
+        `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`
+      )
+    }
+  }
+
+  const collected = Array.from(metrics.jobs.entries())
+
+  family(
+    'quest_job_runs_total',
+    'counter',
+    'Finished job runs (after retries) by outcome',
+    collected.flatMap(([job, m]) =>
+      Object.entries(m.runs).map(([outcome, count]) => [
+        { job, outcome },
+        count
+      ])
+    )
+  )
+
+  family(
+    'quest_job_duration_seconds',
+    'histogram',
+    'Duration of finished job runs, including retries',
+    collected.flatMap(([job, m]) => [
+      ...metrics.buckets.map((bucket, i) => [
+        { job, le: String(bucket) },
+        m.durations.buckets[i],
+        '_bucket'
+      ]),
+      [{ job, le: '+Inf' }, m.durations.count, '_bucket'],
+      [{ job }, m.durations.sum, '_sum'],
+      [{ job }, m.durations.count, '_count']
+    ])
+  )
+
+  family(
+    'quest_job_skipped_total',
+    'counter',
+    'Runs skipped because the job was already running or paused',
+    collected.flatMap(([job, m]) =>
+      Object.entries(m.skipped).map(([reason, count]) => [
+        { job, reason },
+        count
+      ])
+    )
+  )
+
+  family(
+    'quest_job_running',
+    'gauge',
+    'Runs of the job in progress',
+    Array.from(new Set([...jobs.keys(), ...running.keys()])).map((job) => [
+      { job },
+      running.has(job) ? running.get(job).size : 0
+    ])
+  )
+
+  family(
+    'quest_job_next_run_timestamp_seconds',
+    'gauge',
+    'Unix time of the next scheduled run',
+    Array.from(jobs.values())
+      .filter((job) => timers.has(job.name) && getNextRunTime)
+      .map((job) => [job, getNextRunTime(job)])
+      .filter(([, next]) => next)
+      .map(([job, next]) => [{ job: job.name }, next.getTime() / 1000])
+  )
+
+  family(
+    'quest_job_last_success_timestamp_seconds',
+    'gauge',
+    'Unix time the last successful run finished',
+    collected
+      .filter(([, m]) => m.lastSuccessAt)
+      .map(([job, m]) => [{ job }, m.lastSuccessAt / 1000])
+  )
+
+  family(
+    'quest_job_last_failure_timestamp_seconds',
+    'gauge',
+    'Unix time the last failed or timed out run finished',
+    collected
+      .filter(([, m]) => m.lastFailureAt)
+      .map(([job, m]) => [{ job }, m.lastFailureAt / 1000])
+  )
+
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Build the metrics route, keyed by Sails route address
+ * @param {Object} metricsConfig - Quest metrics configuration
+ * @param {String} metricsConfig.route - Path to serve the metrics at
+ * @param {Function} metricsConfig.authorize - Optional async (req) => Boolean
+ * @param {Object} context - Context with metrics collector
+ * @returns {Object} Route address to handler
+ */
+function buildRoute(metricsConfig = {}, context = {}) {
+  const route = `/${String(metricsConfig.route).replace(/^\/+/, '')}`
+
+  return {
+    [`GET ${route}`]: async (req, res) => {
+      try {
+        if (typeof metricsConfig.authorize === 'function') {
+          const allowed = await metricsConfig.authorize(req)
+          if (!allowed) return res.status(403).send('Forbidden')
+        }
+
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        return res.send(render(context))
+      } catch (err) {
+        if (global.sails) {
+          sails.log.error('Quest metrics request failed:', err)
+        }
+        return res.status(500).send(err.message)
+      }
+    }
+  }
+}
+
+/**
+ * Format labels as {key="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {String} Formatted labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+    return `${key}="${escaped}"`
+  })
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Format a sample value
+ * @param {Number} value - Value
+ * @returns {String} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+module.exports = {
+  createCollector,
+  recordRun,
+  recordSkip,
+  render,
+  buildRoute
+}
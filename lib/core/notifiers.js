@@ -0,0 +1,128 @@
+/**
+ * core/notifiers.js
+ *
+ * Notifiers that pass watchdog alerts on to people, e.g. a Slack channel
+ *
+ * A notifier is an async function that receives the alert:
+ *   { event, name, message, expectSuccessWithin, lastSuccessAt, deadline, ... }
+ */
+
+const http = require('http')
+const https = require('https')
+const { parseDuration } = require('./scheduler')
+
+/**
+ * Create a notifier that POSTs each alert as JSON to a URL
+ * The default body has a `text` field, which Slack, Mattermost, Discord (via
+ * /slack) and most chat webhooks display as the message.
+ * @param {Object} options - Webhook options
+ * @param {String} options.url - URL to POST to
+ * @param {Object} options.headers - Extra request headers
+ * @param {Function} options.body - (alert) => Object to send instead of the default body
+ * @param {String|Number} options.timeout - Request timeout (default 10 seconds)
+ * @returns {Function} Notifier
+ */
+function createWebhookNotifier(options = {}) {
+  if (!options.url) {
+    throw new Error('Webhook notifiers need a url')
+  }
+
+  const url = new URL(options.url)
+  const timeout = parseDuration(options.timeout) || 10000
+  const client = url.protocol === 'https:' ? https : http
+
+  return (alert) => {
+    const payload = JSON.stringify(
+      typeof options.body === 'function'
+        ? options.body(alert)
+        : { text: alert.message, ...alert }
+    )
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        url,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            ...options.headers
+          },
+          timeout
+        },
+        (res) => {
+          res.resume()
+          res.on('end', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve()
+            } else {
+              reject(
+                new Error(
+                  `Webhook ${url.host} responded with status ${res.statusCode}`
+                )
+              )
+            }
+          })
+        }
+      )
+
+      req.on('timeout', () => {
+        req.destroy(
+          new Error(`Webhook ${url.host} timed out after ${timeout}ms`)
+        )
+      })
+      req.on('error', reject)
+      req.end(payload)
+    })
+  }
+}
+
+/**
+ * Turn the configured notifiers into functions
+ * @param {Array<Function|Object>} notifiers - Functions, or { type: 'webhook', url, ... } objects
+ * @returns {Array<Function>} Notifiers
+ * @throws {Error} If a notifier is not supported
+ */
+function resolveNotifiers(notifiers = []) {
+  return [].concat(notifiers || []).map((notifier) => {
+    if (typeof notifier === 'function') return notifier
+
+    if (notifier && notifier.type === 'webhook') {
+      return createWebhookNotifier(notifier)
+    }
+
+    throw new Error(
+      `Unsupported watchdog notifier ${JSON.stringify(notifier)}. Use a function or { type: 'webhook', url }.`
+    )
+  })
+}
+
+/**
+ * Send an alert to every notifier
+ * A failing notifier is logged and doesn't stop the others
+ * @param {Array<Function>} notifiers - Notifiers
+ * @param {Object} alert - Alert
+ * @returns {Promise} Resolves once every notifier has finished
+ */
+async function notify(notifiers, alert) {
+  await Promise.all(
+    notifiers.map(async (notifier) => {
+      try {
+        await notifier(alert)
+      } catch (err) {
+        if (global.sails) {
+          sails.log.error(
+            `Quest notifier failed for job "${alert.name}" (${alert.event}):`,
+            err
+          )
+        }
+      }
+    })
+  )
+}
+
+module.exports = {
+  createWebhookNotifier,
+  resolveNotifiers,
+  notify
+}
@@ -0,0 +1,110 @@
+/**
+ * core/output.js
+ *
+ * Functions for capturing a job's stdout/stderr and streaming it to sails.log
+ */
+
+// Longest line kept while waiting for its newline; longer ones are logged in pieces
+const MAX_LINE_LENGTH = 64 * 1024
+
+/**
+ * Create a capture for one run's output
+ * Complete lines are logged with a job prefix as they arrive, and up to
+ * `maxBuffer` characters per stream are kept for event payloads
+ * @param {String} name - Job name (and run ID) to prefix lines with
+ * @param {Object} config - Quest configuration
+ * @returns {Object} Capture with write, flush and getOutput methods
+ */
+function createCapture(name, config = {}) {
+  const outputConfig = config.output || {}
+  const maxBuffer = outputConfig.maxBuffer ?? 1024 * 1024
+  const levels = {
+    stdout: outputConfig.level || 'info',
+    stderr: outputConfig.errorLevel || 'warn'
+  }
+
+  const buffers = { stdout: '', stderr: '' }
+  const partial = { stdout: '', stderr: '' }
+  let truncated = false
+
+  const log = (stream, line) => {
+    if (outputConfig.log === false || !global.sails) return
+    const logger = sails.log[levels[stream]] || sails.log.info
+    logger(`[${name}] ${line}`)
+  }
+
+  return {
+    /**
+     * Record a chunk written by the job
+     * @param {String} stream - 'stdout' or 'stderr'
+     * @param {Buffer|String} chunk - Data written
+     */
+    write(stream, chunk) {
+      const text = chunk.toString()
+
+      const room = maxBuffer - buffers[stream].length
+      if (room > 0) {
+        buffers[stream] += text.slice(0, room)
+      }
+      if (text.length > room) {
+        truncated = true
+      }
+
+      const lines = (partial[stream] + text).split(/\r?\n/)
+      let rest = lines.pop()
+      for (const line of lines) {
+        log(stream, line)
+      }
+
+      // Don't hold on to endless output without newlines (like progress bars)
+      while (rest.length > MAX_LINE_LENGTH) {
+        log(stream, rest.slice(0, MAX_LINE_LENGTH))
+        rest = rest.slice(MAX_LINE_LENGTH)
+      }
+      partial[stream] = rest
+    },
+
+    /**
+     * Log anything left without a trailing newline
+     */
+    flush() {
+      for (const stream of ['stdout', 'stderr']) {
+        if (partial[stream]) {
+          log(stream, partial[stream])
+          partial[stream] = ''
+        }
+      }
+    },
+
+    /**
+     * Get the captured output
+     * @returns {Object} stdout, stderr and whether either was truncated
+     */
+    getOutput() {
+      return {
+        stdout: buffers.stdout,
+        stderr: buffers.stderr,
+        truncated
+      }
+    }
+  }
+}
+
+/**
+ * Pipe a child process's stdout/stderr into a capture
+ * @param {ChildProcess} child - Child process spawned with piped stdio
+ * @param {Object} capture - Capture from createCapture
+ */
+function pipeChild(child, capture) {
+  if (child.stdout) {
+    child.stdout.on('data', (chunk) => capture.write('stdout', chunk))
+  }
+  if (child.stderr) {
+    child.stderr.on('data', (chunk) => capture.write('stderr', chunk))
+  }
+}
+
+module.exports = {
+  createCapture,
+  pipeChild
+}
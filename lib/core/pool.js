@@ -0,0 +1,300 @@
+/**
+ * core/pool.js
+ *
+ * A pool of long-lived, pre-loaded Sails worker processes that run job scripts
+ * over IPC, so jobs stay isolated without paying lift time on every run
+ */
+
+const { fork } = require('child_process')
+const path = require('path')
+const { parseDuration } = require('./scheduler')
+const output = require('./output')
+const tracing = require('./tracing')
+const runs = require('./runs')
+
+const WORKER_PATH = path.resolve(__dirname, '..', 'worker.js')
+
+/**
+ * Create a worker pool
+ * @param {Object} config - Quest configuration
+ * @returns {Object} Pool with run, stats and close methods
+ */
+function createPool(config = {}) {
+  const poolConfig = config.pool || {}
+  const size = poolConfig.size || 2
+  const maxJobsPerWorker = poolConfig.maxJobsPerWorker || Infinity
+  const maxMemory = poolConfig.maxMemory
+    ? poolConfig.maxMemory * 1024 * 1024
+    : Infinity
+  const gracePeriod = parseDuration(config.gracePeriod) ?? 10000
+
+  const workers = new Set()
+  const queue = []
+  // Output from workers between runs (e.g. while loading the app)
+  const idleCapture = output.createCapture('quest-worker', {
+    ...config,
+    output: { ...config.output, maxBuffer: 0 }
+  })
+  let nextTaskId = 1
+  let closed = false
+
+  function spawnWorker() {
+    const env = { ...process.env }
+    if (config.environment) {
+      env.NODE_ENV = config.environment
+    }
+
+    const worker = {
+      child: fork(WORKER_PATH, [config.scriptsDir || 'scripts'], {
+        cwd: config.appPath || process.cwd(),
+        env,
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+        serialization: 'advanced'
+      }),
+      ready: false,
+      task: null,
+      jobs: 0
+    }
+
+    // Output belongs to whichever run the worker is busy with
+    for (const stream of ['stdout', 'stderr']) {
+      worker.child[stream].on('data', (chunk) => {
+        const capture = worker.task ? worker.task.capture : idleCapture
+        capture.write(stream, chunk)
+      })
+    }
+
+    worker.child.on('message', (message) => handleMessage(worker, message))
+    worker.child.on('exit', (code, signal) => handleExit(worker, code, signal))
+    worker.child.on('error', (err) => {
+      if (global.sails) {
+        sails.log.error('Quest worker error:', err)
+      }
+    })
+
+    workers.add(worker)
+    return worker
+  }
+
+  function handleMessage(worker, message) {
+    if (message.type === 'ready') {
+      worker.ready = true
+      return dispatch()
+    }
+
+    const { task } = worker
+    if (!task || task.id !== message.id) return
+
+    finishTask(worker)
+    if (message.type === 'result') {
+      task.resolve({ result: message.output, ...task.capture.getOutput() })
+    } else {
+      const error = new Error(message.error.message)
+      error.stack = message.error.stack
+      error.exit = message.error.exit
+      if (message.error.retryable !== undefined) {
+        error.retryable = message.error.retryable
+      }
+      task.reject(Object.assign(error, task.capture.getOutput()))
+    }
+
+    // Recycle workers that have done enough work or grown too large
+    worker.jobs++
+    if (worker.jobs >= maxJobsPerWorker || message.rss > maxMemory) {
+      retireWorker(worker)
+    }
+
+    dispatch()
+  }
+
+  function handleExit(worker, code, signal) {
+    workers.delete(worker)
+
+    const { task } = worker
+    if (task) {
+      finishTask(worker)
+      let error
+      if (worker.cancelled) {
+        error = runs.createCancelledError(task.name, worker.cancelled)
+      } else if (worker.timedOut) {
+        error = new Error(
+          `Job "${task.name}" timed out after ${task.maxRuntime}ms`
+        )
+        error.timedOut = true
+        error.signal = signal
+        error.retryable = false
+      } else {
+        error = new Error(`Job "${task.name}" exited with code ${code}`)
+        error.exitCode = code
+      }
+      task.reject(Object.assign(error, task.capture.getOutput()))
+    } else if (!worker.ready && !worker.retired && !closed) {
+      // The app couldn't load; fail waiting tasks instead of respawning forever
+      const error = new Error(
+        `Quest worker failed to load the Sails app (exit code ${code})`
+      )
+      while (queue.length) {
+        queue.shift().reject(error)
+      }
+    }
+
+    dispatch()
+  }
+
+  function finishTask(worker) {
+    clearTimeout(worker.task.runtimeTimer)
+    clearTimeout(worker.task.killTimer)
+    worker.task.capture.flush()
+    worker.task = null
+  }
+
+  function retireWorker(worker) {
+    worker.retired = true
+    workers.delete(worker)
+    worker.child.disconnect()
+  }
+
+  function killWorker(worker, signal = 'SIGTERM', grace = gracePeriod) {
+    clearTimeout(worker.task.killTimer)
+    worker.child.kill(signal)
+    if (signal === 'SIGKILL') return
+    worker.task.killTimer = setTimeout(
+      () => worker.child.kill('SIGKILL'),
+      grace
+    )
+  }
+
+  // Drop a queued task, or stop the worker running it (a new one replaces it)
+  function cancelTask(task, signal, graceMs) {
+    const index = queue.indexOf(task)
+    if (index !== -1) {
+      queue.splice(index, 1)
+      return task.reject(runs.createCancelledError(task.name, signal))
+    }
+
+    const worker = Array.from(workers).find((w) => w.task === task)
+    if (!worker) return
+    clearTimeout(task.runtimeTimer)
+    worker.cancelled = signal
+    killWorker(worker, signal, graceMs)
+  }
+
+  function dispatch() {
+    while (queue.length) {
+      const worker = Array.from(workers).find((w) => w.ready && !w.task)
+      if (!worker) {
+        // Start more workers if there's room; they pick up work once ready
+        let starting = Array.from(workers).filter((w) => !w.ready).length
+        while (workers.size < size && starting < queue.length) {
+          spawnWorker()
+          starting++
+        }
+        return
+      }
+
+      const task = queue.shift()
+      worker.task = task
+      worker.child.send({
+        type: 'run',
+        id: task.id,
+        name: task.name,
+        inputs: task.inputs,
+        runId: task.runId,
+        traceContext: task.traceContext
+      })
+      if (task.onSpawn) {
+        task.onSpawn(worker.child.pid)
+      }
+
+      if (task.maxRuntime) {
+        task.runtimeTimer = setTimeout(() => {
+          worker.timedOut = true
+          if (global.sails) {
+            sails.log.warn(
+              `Job "${task.name}" exceeded its max runtime of ${task.maxRuntime}ms, stopping its worker${task.runId ? ` (run ${task.runId})` : ''}`
+            )
+          }
+          killWorker(worker)
+        }, task.maxRuntime)
+      }
+    }
+  }
+
+  return {
+    /**
+     * Run a script on the next idle worker
+     * @param {String} name - Script name
+     * @param {Object} inputs - Input values
+     * @param {Object} options - Run options
+     * @param {Number} options.maxRuntime - Milliseconds before the worker is killed
+     * @param {String} options.runId - Run ID, set as QUEST_RUN_ID while the script runs
+     * @param {Function} options.onSpawn - Called with the worker's pid once the run starts on it
+     * @param {Function} options.setKill - Called with a (signal, graceMs) function that cancels the run
+     * @returns {Promise<Object>} Resolves with the script's result and captured output
+     */
+    run(name, inputs, options = {}) {
+      if (closed) {
+        return Promise.reject(new Error('Quest worker pool is closed'))
+      }
+
+      return new Promise((resolve, reject) => {
+        const task = {
+          id: nextTaskId++,
+          name,
+          inputs,
+          capture: output.createCapture(
+            options.runId ? `${name} ${options.runId}` : name,
+            config
+          ),
+          maxRuntime: options.maxRuntime,
+          runId: options.runId,
+          onSpawn: options.onSpawn,
+          // Captured now, while the run's span is active
+          traceContext: tracing.inject(),
+          resolve,
+          reject
+        }
+        queue.push(task)
+        if (options.setKill) {
+          options.setKill((signal, graceMs) =>
+            cancelTask(task, signal, graceMs)
+          )
+        }
+        dispatch()
+      })
+    },
+
+    /**
+     * Get the current pool usage
+     * @returns {Object} Worker and queue counts
+     */
+    stats() {
+      const all = Array.from(workers)
+      return {
+        size,
+        workers: all.length,
+        busy: all.filter((w) => w.task).length,
+        queued: queue.length
+      }
+    },
+
+    /**
+     * Stop all workers and reject queued runs
+     */
+    close() {
+      closed = true
+      const error = new Error('Quest worker pool is closed')
+      while (queue.length) {
+        queue.shift().reject(error)
+      }
+      for (const worker of workers) {
+        worker.retired = true
+        worker.child.kill('SIGTERM')
+      }
+    }
+  }
+}
+
+module.exports = {
+  createPool
+}
@@ -0,0 +1,107 @@
+/**
+ * core/retry.js
+ *
+ * Functions for calculating retry delays for failed job runs
+ */
+
+const { parseDuration } = require('./scheduler')
+
+const BACKOFF_TYPES = ['fixed', 'linear', 'exponential']
+
+const DEFAULT_BACKOFF = {
+  type: 'exponential',
+  delay: 1000,
+  maxDelay: null,
+  jitter: 0
+}
+
+/**
+ * Normalize a backoff setting into an options object
+ * @param {String|Number|Object} backoff - Backoff type, fixed delay or options object
+ * @returns {Object} Backoff options with type, delay, maxDelay and jitter
+ */
+function normalizeBackoff(backoff) {
+  if (backoff === undefined || backoff === null) {
+    return { ...DEFAULT_BACKOFF }
+  }
+
+  // A bare delay means a fixed backoff
+  if (typeof backoff === 'number') {
+    return { ...DEFAULT_BACKOFF, type: 'fixed', delay: backoff }
+  }
+
+  if (typeof backoff === 'string') {
+    if (BACKOFF_TYPES.includes(backoff)) {
+      return { ...DEFAULT_BACKOFF, type: backoff }
+    }
+    const delay = parseDuration(backoff)
+    if (delay !== null) {
+      return { ...DEFAULT_BACKOFF, type: 'fixed', delay }
+    }
+    throw new Error(`Invalid backoff "${backoff}"`)
+  }
+
+  const type = backoff.type || DEFAULT_BACKOFF.type
+  if (!BACKOFF_TYPES.includes(type)) {
+    throw new Error(
+      `Invalid backoff type "${type}". Use one of: ${BACKOFF_TYPES.join(', ')}`
+    )
+  }
+
+  const delay =
+    backoff.delay !== undefined
+      ? parseDuration(backoff.delay)
+      : DEFAULT_BACKOFF.delay
+  if (delay === null) {
+    throw new Error(`Invalid backoff delay "${backoff.delay}"`)
+  }
+
+  const maxDelay =
+    backoff.maxDelay !== undefined && backoff.maxDelay !== null
+      ? parseDuration(backoff.maxDelay)
+      : null
+
+  // `jitter: true` randomizes up to half of each delay
+  let jitter = backoff.jitter === true ? 0.5 : Number(backoff.jitter) || 0
+  jitter = Math.min(Math.max(jitter, 0), 1)
+
+  return { type, delay, maxDelay, jitter }
+}
+
+/**
+ * Calculate how long to wait before the next attempt
+ * @param {Number} attempt - The attempt that just failed (1-based)
+ * @param {String|Number|Object} backoff - Backoff setting
+ * @returns {Number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, backoff) {
+  const { type, delay, maxDelay, jitter } = normalizeBackoff(backoff)
+
+  let ms
+  switch (type) {
+    case 'linear':
+      ms = delay * attempt
+      break
+    case 'exponential':
+      ms = delay * Math.pow(2, attempt - 1)
+      break
+    default:
+      ms = delay
+  }
+
+  if (maxDelay !== null) {
+    ms = Math.min(ms, maxDelay)
+  }
+
+  // Shave a random portion off the delay so retries from many jobs spread out
+  if (jitter > 0) {
+    ms -= Math.random() * ms * jitter
+  }
+
+  return Math.round(ms)
+}
+
+module.exports = {
+  normalizeBackoff,
+  getBackoffDelay
+}
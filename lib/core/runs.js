@@ -0,0 +1,318 @@
+/**
+ * core/runs.js
+ *
+ * Runs in progress. Every execution gets a run ID that ties its events, log
+ * lines, history and child process together. The `running` map holds, for
+ * each job with runs in progress, a Map of run ID to run:
+ *   { runId, name, startedAt, pid, attempt, inputs }
+ * so `running.has(name)` tells whether any run of the job is in progress.
+ *
+ * A run can be cancelled. The execution mode registers how to stop the
+ * current attempt (e.g. signal its process) with setKill, and runs that are
+ * between attempts stop as soon as they notice. Code that can't be stopped
+ * (inline runs) holds the run with holdUntil, so it stays in the running map
+ * until that code settles.
+ */
+
+const crypto = require('crypto')
+const os = require('os')
+
+// Cancellation state of each run, kept off the run objects that are exposed
+const controls = new WeakMap()
+
+/**
+ * Create a run and add it to the running map
+ * @param {Map} running - Running map
+ * @param {String} name - Job name
+ * @param {Object} inputs - Merged input values
+ * @returns {Object} Run
+ */
+function startRun(running, name, inputs) {
+  const run = {
+    runId: crypto.randomUUID(),
+    name,
+    startedAt: Date.now(),
+    pid: null,
+    attempt: 1,
+    inputs
+  }
+
+  const control = { kill: null, signal: null, graceMs: null }
+  control.cancelled = new Promise((resolve, reject) => {
+    control.cancel = reject
+  })
+  control.cancelled.catch(() => {})
+  control.finished = new Promise((resolve) => {
+    control.finish = resolve
+  })
+  controls.set(run, control)
+
+  if (!running.has(name)) {
+    running.set(name, new Map())
+  }
+  running.get(name).set(run.runId, run)
+  return run
+}
+
+/**
+ * Remove a finished run from the running map
+ * @param {Map} running - Running map
+ * @param {Object} run - Run
+ */
+function endRun(running, run) {
+  const control = controls.get(run)
+  if (control) {
+    control.finish()
+  }
+
+  afterHold(run, () => {
+    const runs = running.get(run.name)
+    if (!runs) return
+
+    runs.delete(run.runId)
+    if (!runs.size) {
+      running.delete(run.name)
+    }
+  })
+}
+
+/**
+ * Keep a run marked as running until a promise settles, even once it has ended
+ * Used for inline code, which keeps running after a cancel or timeout
+ * @param {Object} run - Run
+ * @param {Promise} promise - Promise of the code that can't be stopped
+ */
+function holdUntil(run, promise) {
+  const control = controls.get(run)
+  if (!control) return
+
+  control.held = promise.then(
+    () => {
+      control.held = null
+    },
+    () => {
+      control.held = null
+    }
+  )
+}
+
+/**
+ * Call a function once nothing holds the run (straight away if nothing does)
+ * @param {Object} run - Run
+ * @param {Function} fn - Function to call
+ */
+function afterHold(run, fn) {
+  const control = controls.get(run)
+  if (control && control.held) {
+    control.held.then(fn)
+  } else {
+    fn()
+  }
+}
+
+/**
+ * List runs in progress, oldest first
+ * @param {Map} running - Running map
+ * @param {String} name - Job name (all jobs if omitted)
+ * @returns {Array<Object>} Runs
+ */
+function listRuns(running, name) {
+  const maps = name
+    ? [running.get(name) || new Map()]
+    : Array.from(running.values())
+
+  return maps
+    .flatMap((runs) => Array.from(runs.values()))
+    .sort((a, b) => a.startedAt - b.startedAt)
+}
+
+/**
+ * Find a run in progress by its ID
+ * @param {Map} running - Running map
+ * @param {String} runId - Run ID
+ * @returns {Object|null} Run
+ */
+function findRun(running, runId) {
+  for (const runs of running.values()) {
+    if (runs.has(runId)) return runs.get(runId)
+  }
+  return null
+}
+
+/**
+ * Register how to stop the run's current attempt
+ * If the run was already cancelled, it is stopped straight away.
+ * @param {Object} run - Run
+ * @param {Function|null} kill - (signal, graceMs) => void, or null once the attempt is over
+ */
+function setKill(run, kill) {
+  const control = controls.get(run)
+  if (!control) return
+
+  control.kill = kill
+  if (kill && control.signal) {
+    kill(control.signal, control.graceMs)
+  }
+}
+
+/**
+ * Wait for a promise unless the run is cancelled first
+ * @param {Object} run - Run
+ * @param {Promise} promise - Promise to wait for
+ * @param {Function} cleanup - Called with the promise's value if it resolves after a cancellation
+ * @returns {Promise} Resolves like promise, or rejects with a cancellation error
+ */
+function unlessCancelled(run, promise, cleanup) {
+  const control = controls.get(run)
+  if (!control) return promise
+
+  return Promise.race([promise, control.cancelled]).then(
+    (value) => {
+      if (control.signal) {
+        if (cleanup) cleanup(value)
+        throw createCancelledError(run.name, control.signal)
+      }
+      return value
+    },
+    (err) => {
+      // Cancelled first: clean up whatever the promise still resolves with
+      if (err.cancelled && cleanup) {
+        promise.then(cleanup, () => {})
+      }
+      throw err
+    }
+  )
+}
+
+/**
+ * Wait for a delay, ending early if the run is cancelled
+ * @param {Object} run - Run
+ * @param {Number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay or on cancellation
+ */
+function sleep(run, ms) {
+  let timer
+  const delay = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms)
+  })
+  return unlessCancelled(run, delay)
+    .catch(() => {})
+    .finally(() => clearTimeout(timer))
+}
+
+/**
+ * Cancel a run
+ * @param {Object} run - Run
+ * @param {Object} options - Cancel options
+ * @param {String} options.signal - Signal for the run's process (default SIGTERM)
+ * @param {Number} options.graceMs - Milliseconds before SIGKILL follows (default 10000)
+ * @returns {Promise} Resolves once the run has ended
+ */
+function cancelRun(run, options = {}) {
+  const control = controls.get(run)
+  if (!control) return Promise.resolve()
+
+  if (!control.signal) {
+    control.signal = options.signal || 'SIGTERM'
+    control.graceMs = options.graceMs ?? 10000
+
+    control.cancel(createCancelledError(run.name, control.signal))
+    if (control.kill) {
+      control.kill(control.signal, control.graceMs)
+    }
+  }
+  return control.finished
+}
+
+/**
+ * Cancel one run by its ID, or every run of a job
+ * @param {Map} running - Running map
+ * @param {String} target - Run ID or job name
+ * @param {Object} options - Cancel options (see cancelRun)
+ * @returns {Promise<Array<String>>} IDs of the cancelled runs, once they have ended
+ * @throws {Error} If the signal is unknown
+ */
+function cancel(running, target, options = {}) {
+  const signal = options.signal || 'SIGTERM'
+  if (!os.constants.signals[signal]) {
+    throw new Error(`Unknown signal "${signal}"`)
+  }
+
+  const run = findRun(running, target)
+  const targets = run ? [run] : listRuns(running, target)
+
+  return Promise.all(
+    targets.map((target) => cancelRun(target, { ...options, signal }))
+  ).then(() => targets.map((target) => target.runId))
+}
+
+/**
+ * Wait for the runs in progress to end, cancelling any left after the timeout
+ * @param {Map} running - Running map
+ * @param {Object} options - Drain options
+ * @param {Boolean} options.wait - Wait for runs before cancelling them
+ * @param {Number} options.timeout - Milliseconds to wait
+ * @param {Number} options.graceMs - Milliseconds between SIGTERM and SIGKILL
+ * @returns {Promise} Resolves once no runs are left
+ */
+async function drain(running, options = {}) {
+  const active = listRuns(running)
+  if (!active.length) return
+
+  if (options.wait) {
+    if (global.sails) {
+      sails.log.info(
+        `Waiting up to ${options.timeout}ms for ${active.length} Quest run(s) to finish`
+      )
+    }
+
+    let timer
+    await Promise.race([
+      Promise.all(active.map((run) => controls.get(run).finished)),
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, options.timeout)
+      })
+    ])
+    clearTimeout(timer)
+  }
+
+  const remaining = listRuns(running)
+  if (!remaining.length) return
+
+  if (global.sails) {
+    sails.log.info(`Cancelling ${remaining.length} Quest run(s)`)
+  }
+  await Promise.all(
+    remaining.map((run) => cancelRun(run, { graceMs: options.graceMs }))
+  )
+}
+
+/**
+ * Create the error a cancelled run ends with
+ * @param {String} name - Job name
+ * @param {String} signal - Signal the run was cancelled with
+ * @returns {Error} Cancellation error (not retryable)
+ */
+function createCancelledError(name, signal) {
+  const error = new Error(`Job "${name}" was cancelled`)
+  error.cancelled = true
+  error.signal = signal
+  error.retryable = false
+  return error
+}
+
+module.exports = {
+  startRun,
+  endRun,
+  holdUntil,
+  afterHold,
+  listRuns,
+  findRun,
+  setKill,
+  unlessCancelled,
+  sleep,
+  cancelRun,
+  cancel,
+  drain,
+  createCancelledError
+}
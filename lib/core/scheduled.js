@@ -0,0 +1,257 @@
+/**
+ * core/scheduled.js
+ *
+ * One-off jobs created at runtime with `sails.quest.schedule()`. They are
+ * saved to a store so they survive restarts, and removed once they have run.
+ *
+ * A store is any object with these async methods:
+ *   list()        -> Array of saved records
+ *   save(record)  -> Object (creates or replaces the record with that name)
+ *   remove(name)  -> Boolean
+ *
+ * Records have name (the job's unique ID), script, date (ISO string), inputs
+ * and options (any other job options, such as retries or maxRuntime).
+ */
+
+const crypto = require('crypto')
+const { parseTimeout } = require('./scheduler')
+const loader = require('./loader')
+const store = require('./store')
+
+const MODEL = {
+  identity: 'questscheduledjob',
+  globalId: 'QuestScheduledJob',
+  attributes: {
+    name: { type: 'string', required: true, unique: true },
+    script: { type: 'string', required: true },
+    date: { type: 'string', required: true },
+    inputs: { type: 'json' },
+    options: { type: 'json' }
+  }
+}
+
+/**
+ * Create a store over memory or file data
+ * @param {Object} data - Data from store.createMemoryData() or store.createFileData()
+ * @returns {Object} Scheduled job store
+ */
+function createDataStore(data) {
+  return {
+    async list() {
+      return Object.values(await data.load())
+    },
+
+    async save(record) {
+      const all = await data.load()
+      all[record.name] = record
+      await data.save()
+      return record
+    },
+
+    async remove(name) {
+      const all = await data.load()
+      if (!all[name]) return false
+      delete all[name]
+      await data.save()
+      return true
+    }
+  }
+}
+
+/**
+ * Create a store backed by a Waterline model
+ * The model needs `name` (unique), `script`, `date`, `inputs` (json) and
+ * `options` (json) attributes
+ * @param {Object} model - Waterline model
+ * @returns {Object} Scheduled job store
+ */
+function createDatabaseStore(model) {
+  const toRecord = ({ name, script, date, inputs, options }) => ({
+    name,
+    script,
+    date,
+    inputs,
+    options
+  })
+
+  return {
+    async list() {
+      const records = await model.find()
+      return records.map(toRecord)
+    },
+
+    async save(record) {
+      await model.destroy({ name: record.name })
+      await model.create(toRecord(record))
+      return record
+    },
+
+    async remove(name) {
+      const removed = await model.destroy({ name }).fetch()
+      return removed.length > 0
+    }
+  }
+}
+
+/**
+ * Register the built-in scheduled job model with the ORM
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ */
+function registerModel(sailsConfig) {
+  const scheduledConfig = sailsConfig.quest.scheduled || {}
+  if (scheduledConfig.adapter !== 'database') return
+
+  store.registerModel(sailsConfig, MODEL, scheduledConfig)
+}
+
+/**
+ * Create the store configured in `config.quest.scheduled`
+ * @param {Object} config - Quest configuration
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @returns {Object} Scheduled job store
+ */
+function createStore(config = {}, models = {}) {
+  const scheduledConfig = config.scheduled || {}
+
+  return store.createStore(
+    scheduledConfig,
+    {
+      memory: () => createDataStore(store.createMemoryData()),
+      file: () =>
+        createDataStore(
+          store.createFileData(
+            store.resolvePath(
+              config,
+              scheduledConfig,
+              '.tmp/quest-scheduled.json'
+            ),
+            'scheduled jobs'
+          )
+        ),
+      database: () =>
+        createDatabaseStore(
+          store.getModel(models, MODEL, scheduledConfig, 'scheduled.model')
+        )
+    },
+    { name: 'scheduled', defaultAdapter: 'file' }
+  )
+}
+
+/**
+ * Schedule a script to run once at a date or after a delay
+ * @param {String} script - Script name
+ * @param {Object} options - Schedule options
+ * @param {Date|String|Number} options.date - When to run
+ * @param {String|Number} options.timeout - Or how long to wait before running
+ * @param {Object} options.inputs - Inputs for this run
+ * @param {String} options.id - Unique ID (generated if omitted); reusing one replaces that job
+ * @param {Object} context - Context with jobs map, scheduledStore, config and scheduleJob
+ * @returns {Promise<Object>} Saved record, whose `name` is the job's ID
+ */
+async function schedule(script, options = {}, context = {}) {
+  const { jobs = new Map(), scheduledStore, config = {} } = context
+  const { date, timeout, inputs = {}, id, ...jobOptions } = options
+
+  // Fail now rather than when the job comes due
+  loader.getScriptPath(script, config)
+
+  if (date !== undefined && timeout !== undefined) {
+    throw new Error(
+      `Cannot schedule "${script}" with both 'date' and 'timeout'. Use one or the other.`
+    )
+  }
+
+  const runAt = timeout !== undefined ? parseTimeout(timeout) : new Date(date)
+  if (!runAt || isNaN(runAt.getTime())) {
+    throw new Error(
+      `Cannot schedule "${script}": invalid ${timeout !== undefined ? `timeout "${timeout}"` : `date "${date}"`}`
+    )
+  }
+  if (runAt <= new Date()) {
+    throw new Error(
+      `Cannot schedule "${script}": ${runAt.toISOString()} is in the past`
+    )
+  }
+
+  const record = {
+    name: id || `${script}:${crypto.randomUUID()}`,
+    script,
+    date: runAt.toISOString(),
+    inputs,
+    options: jobOptions
+  }
+
+  const previous = jobs.get(record.name)
+  loader.addScheduledJob(record, jobs, config)
+  try {
+    await scheduledStore.save(record)
+  } catch (err) {
+    // Don't leave a job behind that wouldn't survive a restart
+    if (previous) {
+      jobs.set(record.name, previous)
+    } else {
+      jobs.delete(record.name)
+    }
+    throw err
+  }
+
+  if (config.autoStart) {
+    context.scheduleJob(record.name)
+  }
+
+  if (global.sails) {
+    sails.log.verbose(`Scheduled job "${record.name}" for ${record.date}`)
+  }
+
+  return record
+}
+
+/**
+ * Cancel a job created with schedule()
+ * @param {String} name - The job's ID
+ * @param {Object} context - Context with jobs and timers maps and scheduledStore
+ * @returns {Promise<Boolean>} Whether a scheduled job was removed
+ */
+async function unschedule(name, context = {}) {
+  const { jobs = new Map(), timers = new Map(), scheduledStore } = context
+
+  const job = jobs.get(name)
+  if (job && !job.dynamic) {
+    throw new Error(
+      `Job "${name}" was not created with sails.quest.schedule(). Use sails.quest.remove() instead.`
+    )
+  }
+
+  const removed = loader.removeJob(name, jobs, timers)
+  const deleted = await scheduledStore.remove(name)
+  return removed || deleted
+}
+
+/**
+ * Drop a one-off job once it has run
+ * @param {String} name - The job's ID
+ * @param {Object} context - Context with jobs and timers maps and scheduledStore
+ */
+async function complete(name, context = {}) {
+  const { jobs = new Map(), timers = new Map(), scheduledStore } = context
+
+  loader.removeJob(name, jobs, timers)
+  try {
+    await scheduledStore.remove(name)
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(`Could not remove scheduled job "${name}":`, err)
+    }
+  }
+}
+
+module.exports = {
+  createDataStore,
+  createDatabaseStore,
+  registerModel,
+  createStore,
+  schedule,
+  unschedule,
+  complete
+}
@@ -8,14 +8,99 @@ const later = require('@breejs/later')
 const humanInterval = require('human-interval')
 const { CronExpressionParser } = require('cron-parser')
 
+// Job options that each define a schedule; a job may use at most one
+const SCHEDULE_FIELDS = ['cron', 'interval', 'timeout', 'date']
+
+// Latest date a JavaScript Date can represent
+const MAX_DATE = 8.64e15
+
+// Intl formatters by timezone, used to read wall clock times
+const formatters = new Map()
+
+// "every 5 minutes" style intervals, which count elapsed time
+const EVERY_PATTERN = /^every\s+(\d+)\s+(seconds?|minutes?|hours?|days?)$/i
+
+// Milliseconds in each unit of an "every" interval
+const UNIT_MS = {
+  second: 1000,
+  minute: 60000,
+  hour: 3600000,
+  day: 86400000
+}
+
+// Most excluded runs skipped in a row before giving up on finding the next run
+const MAX_EXCLUDED_RUNS = 1000
+
+/**
+ * Get a job's next run time within its startAt and endAt bounds
+ * Schedules start counting from `startAt`, and runs after `endAt` are dropped
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @param {Date} fromDate - Calculate the first run strictly after this date
+ * @returns {Date|null} Next run time or null if invalid or past the job's end
+ */
+function getNextRunTime(job, config = {}, fromDate = new Date()) {
+  const startAt = job.startAt ? new Date(job.startAt) : null
+  const from =
+    startAt && startAt > fromDate ? new Date(startAt.getTime() - 1) : fromDate
+
+  const next = getNextAllowedTime(job, config, from)
+  if (next && job.endAt && next > new Date(job.endAt)) return null
+  return next
+}
+
 /**
- * Parse various schedule formats and return next run time
+ * Get a job's next run time, skipping runs on skipped days and in exclusion windows
+ * Cron and text schedules move on to their first run after the exclusion
+ * ends; durations and one-off schedules are pushed back to when it ends
  * @param {Object} job - Job configuration
  * @param {Object} config - Quest configuration
+ * @param {Date} fromDate - Calculate the first run strictly after this date
  * @returns {Date|null} Next run time or null if invalid
  */
-function getNextRunTime(job, config = {}) {
-  const now = new Date()
+function getNextAllowedTime(job, config = {}, fromDate = new Date()) {
+  let next = getNextScheduledTime(job, config, fromDate)
+  if (!job.skipDates?.length && !job.excludeWindows?.length) return next
+
+  const timezone = job.timezone || config.timezone || 'UTC'
+  const clockBased = followsClock(job)
+
+  for (let i = 0; next && i < MAX_EXCLUDED_RUNS; i++) {
+    const exclusionEnd = getExclusionEnd(job, next, timezone)
+    if (!exclusionEnd) return next
+
+    if (!clockBased) {
+      next = exclusionEnd
+      continue
+    }
+
+    const following = getNextScheduledTime(
+      job,
+      config,
+      new Date(exclusionEnd.getTime() - 1)
+    )
+    // Guard against schedules pinned to a fixed date (e.g. cronOptions.currentDate)
+    if (following && following <= next) return null
+    next = following
+  }
+
+  if (next && global.sails) {
+    sails.log.error(
+      `Job "${job.name}": No run found outside its skipDates and excludeWindows`
+    )
+  }
+  return null
+}
+
+/**
+ * Parse various schedule formats and return next run time, ignoring exclusions
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @param {Date} fromDate - Calculate the first run strictly after this date
+ * @returns {Date|null} Next run time or null if invalid
+ */
+function getNextScheduledTime(job, config = {}, fromDate = new Date()) {
+  const now = fromDate
   const timezone = job.timezone || config.timezone
 
   // Validate: cannot combine date and timeout
@@ -28,7 +113,7 @@ function getNextRunTime(job, config = {}) {
   // Handle cron expressions
   if (job.cron) {
     try {
-      const options = { tz: timezone }
+      const options = { tz: timezone, currentDate: now }
       // Merge any cron-parser options (currentDate, startDate, endDate, etc.)
       if (job.cronOptions) {
         Object.assign(options, job.cronOptions)
@@ -46,9 +131,15 @@ function getNextRunTime(job, config = {}) {
     }
   }
 
-  // Handle human-readable intervals
+  // Handle durations ("5 minutes" or milliseconds)
+  const intervalMs = getIntervalDuration(job.interval)
+  if (intervalMs) {
+    return getNextIntervalTime(job, intervalMs, now)
+  }
+
+  // Handle text schedules ("at 10:00 am")
   if (job.interval && typeof job.interval === 'string') {
-    const nextTime = parseInterval(job.interval, now)
+    const nextTime = parseInterval(job.interval, now, timezone)
     if (nextTime) return nextTime
 
     if (global.sails) {
@@ -57,69 +148,119 @@ function getNextRunTime(job, config = {}) {
     return null
   }
 
-  // Handle numeric intervals (milliseconds)
-  if (typeof job.interval === 'number') {
-    return new Date(now.getTime() + job.interval)
-  }
-
   // Handle timeout (one-time delay)
   if (job.timeout !== undefined && job.timeout !== false) {
-    return parseTimeout(job.timeout, now)
+    return parseTimeout(job.timeout, now, timezone)
   }
 
   // Handle specific date
   if (job.date) {
     const date = new Date(job.date)
+    if (isNaN(date.getTime())) {
+      if (global.sails) {
+        sails.log.error(`Invalid date for job "${job.name}": ${job.date}`)
+      }
+      return null
+    }
     if (date > now) {
       return date
     }
+    if (global.sails) {
+      sails.log.warn(
+        `Job "${job.name}" is scheduled for ${date.toISOString()}, which has already passed. It will not run.`
+      )
+    }
   }
 
   return null
 }
 
+/**
+ * Get the length of a duration interval
+ * @param {String|Number} interval - Milliseconds, or a duration like "5 minutes" or "every 2 hours"
+ * @returns {Number|null} Milliseconds, or null for text schedules and invalid values
+ */
+function getIntervalDuration(interval) {
+  if (typeof interval === 'number') {
+    return Number.isFinite(interval) && interval > 0 ? interval : null
+  }
+  if (typeof interval !== 'string') return null
+
+  const processedStr = convertShorthand(interval)
+  const everyMatch = processedStr.match(EVERY_PATTERN)
+  if (everyMatch) {
+    const unit = everyMatch[2].replace(/s$/, '').toLowerCase()
+    return parseInt(everyMatch[1]) * UNIT_MS[unit] || null
+  }
+
+  // Text schedules take precedence over human-interval, as in parseInterval
+  if (parseTextSchedule(processedStr)) return null
+
+  try {
+    const ms = humanInterval(processedStr)
+    return Number.isFinite(ms) && ms > 0 ? ms : null
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Get the next run of a duration interval
+ * Fixed-rate intervals run at `anchor + n * interval`, so they don't drift. The
+ * anchor is `startAt` if set, otherwise when the job was added (at lift), so
+ * the first run comes one interval after lift.
+ * Fixed-delay intervals run the interval after the previous run finished;
+ * job-control reschedules them on completion, so this counts from `fromDate`.
+ * @param {Object} job - Job configuration with intervalMode, startAt and addedAt
+ * @param {Number} ms - Interval in milliseconds
+ * @param {Date} fromDate - Calculate the first run strictly after this date
+ * @returns {Date} Next run time
+ */
+function getNextIntervalTime(job, ms, fromDate) {
+  const from = fromDate.getTime()
+  const startAt = job.startAt ? new Date(job.startAt).getTime() : null
+
+  if (startAt > from) return new Date(startAt)
+
+  const anchor = startAt ?? job.addedAt ?? null
+  if (job.intervalMode === 'fixed-delay' || anchor === null) {
+    return new Date(from + ms)
+  }
+
+  return new Date(anchor + (Math.floor((from - anchor) / ms) + 1) * ms)
+}
+
 /**
  * Parse an interval string into a Date
+ * Durations ("5 minutes", "every 2 hours") count elapsed time, so DST changes
+ * don't affect them. Text schedules ("at 10:00 am") follow the wall clock in
+ * the given timezone; see getNextTextScheduleTime for DST handling.
  * @param {String} intervalStr - Interval string like "5 minutes" or "every 2 hours"
  * @param {Date} fromDate - Calculate from this date
+ * @param {String} timezone - IANA timezone for text schedules (UTC if omitted)
  * @returns {Date|null} Next run time or null if can't parse
  */
-function parseInterval(intervalStr, fromDate = new Date()) {
+function parseInterval(intervalStr, fromDate = new Date(), timezone = 'UTC') {
   // Convert shorthand format (5s, 10m) to human-interval format
   let processedStr = convertShorthand(intervalStr)
 
   // Check if it's "every X seconds/minutes" format
-  const everyMatch = processedStr.match(
-    /^every\s+(\d+)\s+(seconds?|minutes?|hours?|days?)$/i
-  )
+  const everyMatch = processedStr.match(EVERY_PATTERN)
   if (everyMatch) {
     const amount = parseInt(everyMatch[1])
-    const unit = everyMatch[2].replace(/s$/, '') // Remove plural 's'
-    const msMap = {
-      second: 1000,
-      minute: 60000,
-      hour: 3600000,
-      day: 86400000
-    }
-    const ms = amount * msMap[unit]
+    const unit = everyMatch[2].replace(/s$/, '').toLowerCase() // Remove plural 's'
+    const ms = amount * UNIT_MS[unit]
     if (ms) {
       return new Date(fromDate.getTime() + ms)
     }
   }
 
   // Check if it's a later.js text expression
-  if (processedStr.includes('at') || processedStr.includes('on the')) {
-    try {
-      const schedule = later.parse.text(processedStr)
-      if (schedule.error) {
-        throw new Error(schedule.error)
-      }
-      const next = later.schedule(schedule).next(1)
-      if (next) {
-        return new Date(next)
-      }
-    } catch (err) {
-      // Silently continue to try other parsers
+  const schedule = parseTextSchedule(processedStr)
+  if (schedule) {
+    const next = getNextTextScheduleTime(schedule, fromDate, timezone)
+    if (next) {
+      return next
     }
   }
 
@@ -136,22 +277,54 @@ function parseInterval(intervalStr, fromDate = new Date()) {
   return null
 }
 
+/**
+ * Parse a later.js text schedule like "at 10:00 am"
+ * @param {String} text - Schedule text (after shorthand conversion)
+ * @returns {Object|null} later.js schedule, or null if the text isn't one
+ */
+function parseTextSchedule(text) {
+  if (EVERY_PATTERN.test(text)) return null
+  if (!text.includes('at') && !text.includes('on the')) return null
+
+  try {
+    const schedule = later.parse.text(text)
+    // later.js reports the position of a parse error, or -1 on success
+    return schedule.error === -1 ? schedule : null
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Check whether a job's runs follow the wall clock (cron and text schedules)
+ * rather than elapsed time (durations) or a single moment (timeout and date)
+ * @param {Object} job - Job configuration
+ * @returns {Boolean} Whether the schedule follows the clock
+ */
+function followsClock(job) {
+  if (job.cron) return true
+  return (
+    typeof job.interval === 'string' &&
+    parseTextSchedule(convertShorthand(job.interval)) !== null
+  )
+}
+
 /**
  * Parse a timeout value into a Date
  * @param {String|Number} timeout - Timeout value
  * @param {Date} fromDate - Calculate from this date
+ * @param {String} timezone - IANA timezone for "at" times (UTC if omitted)
  * @returns {Date|null} Next run time or null
  */
-function parseTimeout(timeout, fromDate = new Date()) {
+function parseTimeout(timeout, fromDate = new Date(), timezone = 'UTC') {
   // String timeout (human-readable)
   if (typeof timeout === 'string') {
     // Check for "at" expressions (e.g., "at 10:00 am")
     if (timeout.startsWith('at ')) {
       try {
         const schedule = later.parse.text(timeout)
-        if (!schedule.error) {
-          const next = later.schedule(schedule).next(1)
-          return next
+        if (schedule.error === -1) {
+          return getNextTextScheduleTime(schedule, fromDate, timezone)
         }
       } catch (err) {}
     }
@@ -173,6 +346,375 @@ function parseTimeout(timeout, fromDate = new Date()) {
   return null
 }
 
+/**
+ * Get the next run of a later.js schedule on the wall clock of a timezone
+ * later.js only knows UTC, so the schedule is evaluated against local wall
+ * time expressed as UTC and the result converted back. DST transitions follow
+ * cron's rules:
+ * - A time skipped when clocks go forward runs once, shifted by the gap
+ *   (02:30 becomes 03:30 when 02:00 jumps to 03:00)
+ * - A time repeated when clocks go back runs once, at its first occurrence
+ * @param {Object} schedule - Parsed later.js schedule
+ * @param {Date} fromDate - Find the first run strictly after this date
+ * @param {String} timezone - IANA timezone
+ * @returns {Date|null} Next run time or null if the schedule has no more runs
+ */
+function getNextTextScheduleTime(schedule, fromDate, timezone = 'UTC') {
+  const compiled = later.schedule(schedule)
+  let wallFrom = toWallTime(fromDate, timezone)
+
+  // A wall time whose first occurrence has passed already ran before the
+  // clocks went back, so move on to the next one
+  for (let i = 0; i < 3; i++) {
+    const nextWall = compiled.next(1, nextSecond(wallFrom))
+    if (!nextWall) return null
+
+    const next = fromWallTime(new Date(nextWall), timezone)
+    if (next > fromDate) return next
+    wallFrom = new Date(nextWall)
+  }
+  return null
+}
+
+/**
+ * Find when the exclusion covering a moment ends
+ * @param {Object} job - Job configuration with skipDates and excludeWindows
+ * @param {Date} date - Moment to check
+ * @param {String} timezone - IANA timezone the days and windows are in
+ * @returns {Date|null} End of the exclusion, or null if the moment isn't excluded
+ */
+function getExclusionEnd(job, date, timezone = 'UTC') {
+  const wall = toWallTime(date, timezone)
+  const day = wall.toISOString().slice(0, 10)
+  const dayStart = Date.UTC(
+    wall.getUTCFullYear(),
+    wall.getUTCMonth(),
+    wall.getUTCDate()
+  )
+  const DAY = 24 * 60 * 60 * 1000
+
+  // Skipped days end at the next local midnight
+  if ((job.skipDates || []).includes(day)) {
+    return fromWallTime(new Date(dayStart + DAY), timezone)
+  }
+
+  const minute = (wall.getTime() - dayStart) / 60000
+  const weekday = wall.getUTCDay()
+
+  for (const window of job.excludeWindows || []) {
+    const start = toMinutes(window.start)
+    const end = toMinutes(window.end)
+    const appliesOn = (d) => !window.days || window.days.includes(d)
+
+    // Windows like 22:00-02:00 wrap past midnight; `days` is the day they start
+    let endsAt = null
+    if (start < end) {
+      if (minute >= start && minute < end && appliesOn(weekday)) {
+        endsAt = dayStart + end * 60000
+      }
+    } else if (minute >= start && appliesOn(weekday)) {
+      endsAt = dayStart + DAY + end * 60000
+    } else if (minute < end && appliesOn((weekday + 6) % 7)) {
+      endsAt = dayStart + end * 60000
+    }
+
+    if (endsAt !== null) {
+      return fromWallTime(new Date(endsAt), timezone)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Convert a HH:MM time of day into minutes after midnight
+ * @param {String} time - Time of day
+ * @returns {Number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Get the UTC offset of a timezone at a moment
+ * @param {Date|Number} date - Moment to check
+ * @param {String} timezone - IANA timezone
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone = 'UTC') {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000
+  const parts = getWallParts(time, timezone)
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  )
+  return wallTime - time
+}
+
+/**
+ * Express a moment's wall time in a timezone as a UTC date
+ * e.g. 09:00Z in Europe/Berlin (UTC+1) becomes 10:00Z
+ * @param {Date} date - Moment to convert
+ * @param {String} timezone - IANA timezone
+ * @returns {Date} Wall time as a UTC date
+ */
+function toWallTime(date, timezone = 'UTC') {
+  return new Date(date.getTime() + getTimezoneOffset(date, timezone))
+}
+
+/**
+ * Find the moment a wall time (expressed as a UTC date) happens in a timezone
+ * Repeated wall times resolve to their first occurrence, and skipped wall
+ * times are shifted forward by the length of the gap
+ * @param {Date} wall - Wall time as a UTC date
+ * @param {String} timezone - IANA timezone
+ * @returns {Date} Moment of the wall time
+ */
+function fromWallTime(wall, timezone = 'UTC') {
+  const time = wall.getTime()
+  const DAY = 24 * 60 * 60 * 1000
+
+  // Any transition near this time is between these two offsets
+  const before = getTimezoneOffset(time - DAY, timezone)
+  const after = getTimezoneOffset(time + DAY, timezone)
+
+  const candidates = [time - before, time - after]
+    .filter((t) => getTimezoneOffset(t, timezone) === time - t)
+    .sort((a, b) => a - b)
+
+  // No candidate means the wall time falls in a gap
+  return new Date(candidates.length ? candidates[0] : time - before)
+}
+
+/**
+ * Get the calendar fields of a moment in a timezone
+ * @param {Date|Number} date - Moment
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} year, month, day, hour, minute and second as strings
+ */
+function getWallParts(date, timezone = 'UTC') {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      })
+    )
+  }
+
+  const parts = {}
+  for (const { type, value } of formatters.get(timezone).formatToParts(date)) {
+    parts[type] = value
+  }
+  return parts
+}
+
+/**
+ * List the run times of a recurring job within a time range
+ * @param {Object} job - Job configuration
+ * @param {Date} from - Start of the range (exclusive)
+ * @param {Date} to - End of the range (inclusive)
+ * @param {Object} config - Quest configuration
+ * @param {Number} limit - Maximum number of run times to return
+ * @returns {Array<Date>} Run times in chronological order
+ */
+function getRunTimesBetween(job, from, to, config = {}, limit = Infinity) {
+  const times = []
+  let next = getNextRunTime(job, config, from)
+
+  while (next && next <= to && times.length < limit) {
+    times.push(next)
+    // One-off schedules don't repeat
+    if (!job.interval && !job.cron) break
+    const following = getNextRunTime(job, config, next)
+    // Guard against schedules pinned to a fixed date (e.g. cronOptions.currentDate)
+    if (following && following <= next) break
+    next = following
+  }
+
+  return times
+}
+
+/**
+ * Check a job's schedule, throwing a descriptive error if it can't be used
+ * Jobs without any schedule are valid (they run manually or after other jobs)
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @throws {Error} If the schedule is invalid or ambiguous
+ */
+function validateSchedule(job, config = {}) {
+  const fields = SCHEDULE_FIELDS.filter(
+    (field) =>
+      job[field] !== undefined && job[field] !== null && job[field] !== false
+  )
+  if (fields.length > 1) {
+    throw new Error(
+      `Job "${job.name}": Conflicting schedules (${fields.join(' and ')}). Use only one of: ${SCHEDULE_FIELDS.join(', ')}`
+    )
+  }
+
+  const timezone = job.timezone || config.timezone
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    } catch (err) {
+      throw new Error(`Job "${job.name}": Invalid timezone "${timezone}"`)
+    }
+  }
+
+  const [field] = fields
+  const value = job[field]
+
+  if (field === 'cron') {
+    try {
+      CronExpressionParser.parse(value, { ...job.cronOptions, tz: timezone })
+    } catch (err) {
+      throw new Error(
+        `Job "${job.name}": Invalid cron expression "${value}" (${err.message})`
+      )
+    }
+  }
+
+  if (field === 'interval') {
+    const valid =
+      typeof value === 'number'
+        ? Number.isFinite(value) && value > 0
+        : typeof value === 'string' && parseInterval(value) !== null
+    if (!valid) {
+      throw new Error(
+        `Job "${job.name}": Invalid interval "${value}". Use milliseconds, a duration like '5 minutes' or a schedule like 'at 10:00 am'`
+      )
+    }
+  }
+
+  if (field === 'timeout') {
+    const valid =
+      typeof value === 'number'
+        ? Number.isFinite(value) && value >= 0
+        : parseTimeout(value) !== null
+    if (!valid) {
+      throw new Error(
+        `Job "${job.name}": Invalid timeout "${value}". Use milliseconds, a duration like '10 minutes' or a time like 'at 10:00 am'`
+      )
+    }
+  }
+
+  if (field === 'date' && isNaN(new Date(value).getTime())) {
+    throw new Error(`Job "${job.name}": Invalid date "${value}"`)
+  }
+}
+
+/**
+ * Describe a job's schedule in a few words
+ * @param {Object} job - Job configuration
+ * @returns {String} Schedule description
+ */
+function describeSchedule(job) {
+  if (job.cron) return `cron ${job.cron}`
+  if (job.interval !== undefined && job.interval !== null) {
+    return `every ${job.interval}${job.intervalMode === 'fixed-delay' ? ' (fixed-delay)' : ''}`
+  }
+  if (job.timeout !== undefined && job.timeout !== false) {
+    return `once after ${job.timeout}`
+  }
+  if (job.date) return `once at ${new Date(job.date).toISOString()}`
+  if (job.after && job.after.length) {
+    return `after ${job.after.map((link) => link.name).join(', ')}`
+  }
+  return 'manual'
+}
+
+/**
+ * List the next run times of a job
+ * @param {Object} job - Job configuration
+ * @param {Object} config - Quest configuration
+ * @param {Number} count - Number of run times to list
+ * @param {Date} fromDate - List runs strictly after this date
+ * @returns {Array<Object>} Run times as `date` (a Date) and `local` (ISO 8601 in the job's timezone)
+ */
+function previewSchedule(job, config = {}, count = 5, fromDate = new Date()) {
+  const timezone = job.timezone || config.timezone || 'UTC'
+
+  // Jobs with maxRuns only have their remaining runs left
+  if (job.maxRuns) {
+    count = Math.min(count, Math.max(job.maxRuns - (job.runCount || 0), 0))
+  }
+
+  const times = getRunTimesBetween(
+    job,
+    fromDate,
+    new Date(MAX_DATE),
+    config,
+    count
+  )
+
+  return times.map((date) => ({
+    date,
+    local: formatInTimezone(date, timezone)
+  }))
+}
+
+/**
+ * Format a date as ISO 8601 in a timezone, e.g. 2026-03-29T03:00:00+02:00
+ * @param {Date} date - Date to format
+ * @param {String} timezone - IANA timezone name
+ * @returns {String} Formatted date with the timezone's UTC offset
+ */
+function formatInTimezone(date, timezone = 'UTC') {
+  const parts = getWallParts(date, timezone)
+  const offset = Math.round(getTimezoneOffset(date, timezone) / 60000)
+  const pad = (n) => String(n).padStart(2, '0')
+  const sign = offset < 0 ? '-' : '+'
+  const hours = pad(Math.floor(Math.abs(offset) / 60))
+  const minutes = pad(Math.abs(offset) % 60)
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${hours}:${minutes}`
+}
+
+/**
+ * Get the first whole second strictly after a date
+ * later.js works in whole seconds and treats its start date as inclusive
+ * @param {Date} date - Date to round
+ * @returns {Date} Rounded date
+ */
+function nextSecond(date) {
+  return new Date(Math.floor(date.getTime() / 1000) * 1000 + 1000)
+}
+
+/**
+ * Parse a duration into milliseconds
+ * @param {String|Number} duration - Milliseconds or a human-readable duration like "10 minutes"
+ * @returns {Number|null} Milliseconds or null if can't parse
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number') {
+    return Number.isFinite(duration) && duration >= 0 ? duration : null
+  }
+
+  if (typeof duration === 'string') {
+    try {
+      const ms = humanInterval(convertShorthand(duration.trim()))
+      if (Number.isFinite(ms)) {
+        return ms
+      }
+    } catch (err) {}
+  }
+
+  return null
+}
+
 /**
  * Convert shorthand format to full format
  * @param {String} str - Input string
@@ -197,7 +739,17 @@ function convertShorthand(str) {
 
 module.exports = {
   getNextRunTime,
+  getRunTimesBetween,
+  validateSchedule,
+  previewSchedule,
+  describeSchedule,
+  formatInTimezone,
+  getNextTextScheduleTime,
+  getExclusionEnd,
+  getTimezoneOffset,
+  getIntervalDuration,
   parseInterval,
   parseTimeout,
+  parseDuration,
   convertShorthand
 }
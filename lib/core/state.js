@@ -0,0 +1,123 @@
+/**
+ * core/state.js
+ *
+ * Stores that keep small per-job state (like the last run time) across restarts
+ *
+ * A store is any object with these async methods:
+ *   get(name)         -> Object|null
+ *   set(name, values) -> Object (values are merged into the existing state)
+ */
+
+const store = require('./store')
+
+const MODEL = {
+  identity: 'questjobstate',
+  globalId: 'QuestJobState',
+  attributes: {
+    name: { type: 'string', required: true, unique: true },
+    values: { type: 'json' }
+  }
+}
+
+/**
+ * Create a store over memory or file data
+ * @param {Object} data - Data from store.createMemoryData() or store.createFileData()
+ * @returns {Object} State store
+ */
+function createDataStore(data) {
+  return {
+    async get(name) {
+      const all = await data.load()
+      return all[name] || null
+    },
+
+    async set(name, values) {
+      const all = await data.load()
+      all[name] = { ...all[name], ...values }
+      await data.save()
+      return all[name]
+    }
+  }
+}
+
+/**
+ * Create a store backed by a Waterline model
+ * The model needs `name` (unique) and `values` (json) attributes
+ * @param {Object} model - Waterline model
+ * @returns {Object} State store
+ */
+function createDatabaseStore(model) {
+  return {
+    async get(name) {
+      const record = await model.findOne({ name })
+      return record ? record.values : null
+    },
+
+    async set(name, values) {
+      const record = await model.findOne({ name })
+      const state = { ...record?.values, ...values }
+
+      if (record) {
+        await model.updateOne({ name }).set({ values: state })
+        return state
+      }
+
+      try {
+        await model.create({ name, values: state })
+      } catch (err) {
+        // Another instance created it first
+        if (err.code !== 'E_UNIQUE') throw err
+        await model.updateOne({ name }).set({ values: state })
+      }
+      return state
+    }
+  }
+}
+
+/**
+ * Register the built-in state model with the ORM
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ */
+function registerModel(sailsConfig) {
+  const stateConfig = sailsConfig.quest.state || {}
+  if (stateConfig.adapter !== 'database') return
+
+  store.registerModel(sailsConfig, MODEL, stateConfig)
+}
+
+/**
+ * Create the store configured in `config.quest.state`
+ * @param {Object} config - Quest configuration
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @returns {Object} State store
+ */
+function createStore(config = {}, models = {}) {
+  const stateConfig = config.state || {}
+
+  return store.createStore(
+    stateConfig,
+    {
+      memory: () => createDataStore(store.createMemoryData()),
+      file: () =>
+        createDataStore(
+          store.createFileData(
+            store.resolvePath(config, stateConfig, '.tmp/quest-state.json'),
+            'state'
+          )
+        ),
+      database: () =>
+        createDatabaseStore(
+          store.getModel(models, MODEL, stateConfig, 'state.model')
+        )
+    },
+    { name: 'state', defaultAdapter: 'file' }
+  )
+}
+
+module.exports = {
+  createDataStore,
+  createDatabaseStore,
+  registerModel,
+  createStore
+}
@@ -0,0 +1,172 @@
+/**
+ * core/store.js
+ *
+ * Building blocks shared by the stores Quest keeps its data in (job state,
+ * scheduled jobs, the dispatch queue, locks and run history): where the data
+ * lives in memory or in a JSON file, the built-in Waterline models, and
+ * picking the adapter set in the config
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Keep a store's records in memory
+ * Records are lost when the process exits, useful for development and tests
+ * @returns {Object} Data with load() resolving to the records object and a no-op save()
+ */
+function createMemoryData() {
+  const records = {}
+
+  return {
+    async load() {
+      return records
+    },
+
+    async save() {}
+  }
+}
+
+/**
+ * Keep a store's records in a JSON file
+ * The file is read once; save() writes the records object load() returned.
+ * @param {String} filePath - Absolute path of the JSON file
+ * @param {String} label - What the file holds, for error messages
+ * @returns {Object} Data with load() and save()
+ */
+function createFileData(filePath, label) {
+  let records = null
+  let writing = Promise.resolve()
+
+  return {
+    async load() {
+      if (records) return records
+      try {
+        records = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+      } catch (err) {
+        if (err.code !== 'ENOENT' && global.sails) {
+          sails.log.warn(`Could not read Quest ${label} from ${filePath}:`, err)
+        }
+        records = {}
+      }
+      return records
+    },
+
+    async save() {
+      // Serialize writes so concurrent updates don't interleave
+      writing = writing
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+          await fs.promises.writeFile(
+            filePath,
+            JSON.stringify(records, null, 2)
+          )
+        })
+      await writing
+    }
+  }
+}
+
+/**
+ * Build the definition of a built-in model
+ * @param {Object} model - { identity, globalId, attributes }
+ * @param {Object} settings - The store's config, whose `datastore` is used if set
+ * @returns {Object} Waterline model definition
+ */
+function buildModelDefinition(model, settings = {}) {
+  const def = { ...model }
+  if (settings.datastore) {
+    def.datastore = settings.datastore
+  }
+  return def
+}
+
+/**
+ * Register a built-in model with the ORM, unless the app uses its own model
+ * Must run before the ORM loads (i.e. in the hook's configure step)
+ * @param {Object} sailsConfig - Sails configuration
+ * @param {Object} model - { identity, globalId, attributes }
+ * @param {Object} settings - The store's config (`model` and `datastore`)
+ */
+function registerModel(sailsConfig, model, settings = {}) {
+  if (settings.model) return
+
+  sailsConfig.orm = sailsConfig.orm || {}
+  sailsConfig.orm.moduleDefinitions = sailsConfig.orm.moduleDefinitions || {}
+  sailsConfig.orm.moduleDefinitions.models =
+    sailsConfig.orm.moduleDefinitions.models || {}
+  sailsConfig.orm.moduleDefinitions.models[model.identity] =
+    buildModelDefinition(model, settings)
+}
+
+/**
+ * Look up the loaded model a store uses: the app's own, or the built-in one
+ * @param {Object} models - Loaded Sails models (sails.models)
+ * @param {Object} model - Built-in model ({ identity })
+ * @param {Object} settings - The store's config (`model`)
+ * @param {String} setting - Config path to mention if the model is missing
+ * @returns {Object} Model
+ */
+function getModel(models = {}, model, settings = {}, setting) {
+  const identity = settings.model || model.identity
+  const found = models[identity.toLowerCase()]
+  if (!found) {
+    throw new Error(
+      `Quest model "${identity}" was not found. Check config.quest.${setting}.`
+    )
+  }
+  return found
+}
+
+/**
+ * Create the store set by a config's `adapter`
+ * @param {Object} settings - The store's config
+ * @param {Object} adapters - Adapter name to a function creating that store
+ * @param {Object} options - Options
+ * @param {String} options.name - Config key, for error messages (e.g. 'state')
+ * @param {String} options.defaultAdapter - Adapter used when none is set
+ * @param {String} options.custom - How to name a custom object (default 'a store object')
+ * @returns {Object} Store
+ */
+function createStore(settings = {}, adapters = {}, options = {}) {
+  const { adapter = options.defaultAdapter } = settings
+  const { custom = 'a store object' } = options
+
+  // Custom stores are used as-is
+  if (typeof adapter === 'object') return adapter
+
+  if (!Object.hasOwn(adapters, adapter)) {
+    const names = Object.keys(adapters)
+      .map((name) => `'${name}'`)
+      .join(', ')
+    throw new Error(
+      `Unknown Quest ${options.name} adapter "${adapter}". Use ${names} or ${custom}.`
+    )
+  }
+  return adapters[adapter]()
+}
+
+/**
+ * Resolve the path of a store's JSON file
+ * @param {Object} config - Quest configuration (`appPath`)
+ * @param {Object} settings - The store's config (`path`)
+ * @param {String} defaultPath - Path relative to the app when none is set
+ * @returns {String} Absolute path
+ */
+function resolvePath(config = {}, settings = {}, defaultPath) {
+  return path.resolve(
+    config.appPath || process.cwd(),
+    settings.path || defaultPath
+  )
+}
+
+module.exports = {
+  createMemoryData,
+  createFileData,
+  buildModelDefinition,
+  registerModel,
+  getModel,
+  createStore,
+  resolvePath
+}
@@ -0,0 +1,167 @@
+/**
+ * core/tracing.js
+ *
+ * OpenTelemetry spans for job runs. Quest uses `@opentelemetry/api` when the
+ * app has it installed, and does nothing otherwise. Without a registered SDK
+ * the API hands out non-recording spans and injects no trace context, so this
+ * is also a no-op until the app sets up tracing.
+ *
+ * The trace context reaches `sails run` processes as W3C `TRACEPARENT` and
+ * `TRACESTATE` environment variables, and pooled workers over IPC, so spans
+ * from the script (e.g. database queries) join the run's trace.
+ */
+
+const { version } = require('../../package.json')
+
+const TRACER_NAME = 'sails-hook-quest'
+
+let api
+
+/**
+ * Load the OpenTelemetry API if the app has it installed
+ * @returns {Object|null} The API, or null if it isn't installed
+ */
+function getApi() {
+  if (api === undefined) {
+    try {
+      api = require('@opentelemetry/api')
+    } catch (err) {
+      api = null
+    }
+  }
+  return api
+}
+
+/**
+ * Start the span for a job run, as a child of the active span if there is one
+ * @param {String} name - Job name
+ * @param {Object} job - Job configuration
+ * @param {Object} inputs - Merged input values (only their keys are recorded)
+ * @param {Object} options - Execution options with trigger and runId
+ * @returns {Object|null} Span, or null without the OpenTelemetry API
+ */
+function startJobSpan(name, job, inputs = {}, options = {}) {
+  const otel = getApi()
+  if (!otel) return null
+
+  return otel.trace
+    .getTracer(TRACER_NAME, version)
+    .startSpan(`quest.job ${name}`, {
+      attributes: {
+        'quest.job.name': name,
+        'quest.job.run_id': options.runId,
+        'quest.job.trigger': options.trigger || 'manual',
+        'quest.job.input_keys': Object.keys(inputs),
+        'quest.job.execution_mode': job.executionMode || 'process',
+        'quest.job.attempt': 1
+      }
+    })
+}
+
+/**
+ * Call a function with the span as the active span
+ * @param {Object|null} span - Span
+ * @param {Function} fn - Function to call
+ * @returns {*} What fn returns
+ */
+function withSpan(span, fn) {
+  const otel = getApi()
+  if (!otel || !span) return fn()
+  return otel.context.with(otel.trace.setSpan(otel.context.active(), span), fn)
+}
+
+/**
+ * Record the start of a retry on the span
+ * @param {Object|null} span - Span
+ * @param {Number} attempt - The upcoming attempt number
+ * @param {Error} err - Error of the failed attempt
+ * @param {Number} delay - Milliseconds until the retry
+ */
+function recordRetry(span, attempt, err, delay) {
+  if (!span) return
+  span.addEvent('quest.job.retry', {
+    'quest.job.attempt': attempt,
+    'quest.job.retry_delay': delay,
+    'exception.message': err.message
+  })
+  span.setAttribute('quest.job.attempt', attempt)
+}
+
+/**
+ * End the span with the run's outcome
+ * @param {Object|null} span - Span
+ * @param {String} outcome - 'success', 'error', 'timeout' or 'cancelled'
+ * @param {Error} err - Error of a failed run
+ */
+function endJobSpan(span, outcome, err) {
+  const otel = getApi()
+  if (!otel || !span) return
+
+  span.setAttribute('quest.job.outcome', outcome)
+
+  const exitCode = err ? err.exitCode : 0
+  if (exitCode !== undefined) {
+    span.setAttribute('process.exit.code', exitCode)
+  }
+
+  if (err) {
+    span.recordException(err)
+    span.setStatus({ code: otel.SpanStatusCode.ERROR, message: err.message })
+  } else {
+    span.setStatus({ code: otel.SpanStatusCode.OK })
+  }
+  span.end()
+}
+
+/**
+ * Get the active trace context as W3C headers
+ * @returns {Object} Carrier such as { traceparent, tracestate } (empty without a trace)
+ */
+function inject() {
+  const carrier = {}
+  const otel = getApi()
+  if (otel) {
+    otel.propagation.inject(otel.context.active(), carrier)
+  }
+  return carrier
+}
+
+/**
+ * Add the active trace context to a child process environment
+ * @param {Object} env - Environment variables to add to
+ * @returns {Object} The environment
+ */
+function injectEnv(env) {
+  for (const [key, value] of Object.entries(inject())) {
+    env[key.toUpperCase()] = value
+  }
+  return env
+}
+
+/**
+ * Call a function within a trace context received from the parent
+ * @param {Object} carrier - Carrier from inject(), or an environment from injectEnv()
+ * @param {Function} fn - Function to call
+ * @returns {*} What fn returns
+ */
+function withRemoteContext(carrier, fn) {
+  const otel = getApi()
+  if (!otel || !carrier) return fn()
+
+  // Environment variables are upper case, headers lower case
+  const parent = otel.propagation.extract(otel.context.active(), carrier, {
+    keys: (c) => Object.keys(c).map((key) => key.toLowerCase()),
+    get: (c, key) => c[key] ?? c[key.toUpperCase()]
+  })
+  return otel.context.with(parent, fn)
+}
+
+module.exports = {
+  startJobSpan,
+  withSpan,
+  recordRetry,
+  endJobSpan,
+  inject,
+  injectEnv,
+  withRemoteContext
+}
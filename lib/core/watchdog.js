@@ -0,0 +1,214 @@
+/**
+ * core/watchdog.js
+ *
+ * Dead man's switch for jobs with `expectSuccessWithin`. The executor records
+ * when such jobs start and succeed in the state store, and the watchdog
+ * periodically checks that each one has succeeded recently enough. A job that
+ * is overdue is reported as `late` if it ran since its last success (it is
+ * failing or slow), or `missed` if it didn't run at all (it is no longer
+ * being scheduled). Each overdue period is reported once, and again every
+ * further `expectSuccessWithin` without a success.
+ */
+
+const { parseDuration } = require('./scheduler')
+const { withLock } = require('./lock')
+const notifiers = require('./notifiers')
+
+/**
+ * Record that a watched job started a run
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ */
+async function recordStart(job, context = {}) {
+  await record(job, { lastStartedAt: Date.now() }, context)
+}
+
+/**
+ * Record that a watched job succeeded
+ * @param {Object} job - Job configuration
+ * @param {Object} context - Context with state store
+ */
+async function recordSuccess(job, context = {}) {
+  await record(job, { lastSuccessAt: Date.now() }, context)
+}
+
+/**
+ * Save watchdog state for jobs that have expectSuccessWithin
+ * @param {Object} job - Job configuration
+ * @param {Object} values - State to merge
+ * @param {Object} context - Context with state store
+ */
+async function record(job, values, context) {
+  const { state } = context
+  if (!state || !job.expectSuccessWithin) return
+
+  try {
+    await state.set(job.name, values)
+  } catch (err) {
+    if (global.sails) {
+      sails.log.error(
+        `Could not save watchdog state for job "${job.name}":`,
+        err
+      )
+    }
+  }
+}
+
+/**
+ * Check whether a job is overdue and report it if it hasn't been already
+ * @param {Object} job - Job configuration
+ * @param {Array<Function>} jobNotifiers - Notifiers to send the alert to
+ * @param {Object} context - Context with state store and running map
+ * @param {Number} now - Current time (ms)
+ * @returns {Promise<Object|null>} The alert, or null if the job is on time
+ */
+async function checkJob(job, jobNotifiers, context = {}, now = Date.now()) {
+  const { state, running = new Map() } = context
+  const window = job.expectSuccessWithin
+  const saved = (await state.get(job.name)) || {}
+
+  // A job that never succeeded is measured from when it was first watched
+  const since = saved.lastSuccessAt || saved.watchedSince
+  if (!since) {
+    await state.set(job.name, { watchedSince: now })
+    return null
+  }
+  if (now < since + window) return null
+
+  const deadline = since + Math.floor((now - since) / window) * window
+  if (saved.alertedDeadline === deadline) return null
+  await state.set(job.name, { alertedDeadline: deadline })
+
+  const ran = running.has(job.name) || (saved.lastStartedAt || 0) > since
+  const event = ran ? 'late' : 'missed'
+  const lastSuccessAt = saved.lastSuccessAt
+    ? new Date(saved.lastSuccessAt)
+    : null
+
+  const alert = {
+    event,
+    name: job.name,
+    message: buildMessage(job, event, lastSuccessAt),
+    expectSuccessWithin: window,
+    lastSuccessAt,
+    lastStartedAt: saved.lastStartedAt ? new Date(saved.lastStartedAt) : null,
+    running: running.has(job.name),
+    deadline: new Date(deadline),
+    overdueBy: now - since - window,
+    timestamp: new Date(now)
+  }
+
+  if (global.sails) {
+    sails.log.warn(alert.message)
+    sails.emit(`quest:job:${event}`, alert)
+  }
+
+  await notifiers.notify(jobNotifiers, alert)
+  return alert
+}
+
+/**
+ * Describe an alert for people
+ * @param {Object} job - Job configuration
+ * @param {String} event - 'late' or 'missed'
+ * @param {Date|null} lastSuccessAt - When the job last succeeded
+ * @returns {String} Message
+ */
+function buildMessage(job, event, lastSuccessAt) {
+  const window = formatDuration(job.expectSuccessWithin)
+  const last = lastSuccessAt
+    ? `last success ${lastSuccessAt.toISOString()}`
+    : 'no success yet'
+
+  return event === 'late'
+    ? `Quest job "${job.name}" has not succeeded in ${window} (${last})`
+    : `Quest job "${job.name}" has not run in ${window} (${last})`
+}
+
+/**
+ * Format milliseconds as the largest whole unit, like '26h' or '90m'
+ * @param {Number} ms - Milliseconds
+ * @returns {String} Duration
+ */
+function formatDuration(ms) {
+  const units = [
+    ['d', 86400000],
+    ['h', 3600000],
+    ['m', 60000],
+    ['s', 1000]
+  ]
+  const [unit, size] = units.find(([, size]) => ms % size === 0) || ['ms', 1]
+  return `${ms / size}${unit}`
+}
+
+/**
+ * Create the watchdog that checks jobs with expectSuccessWithin
+ * @param {Object} context - Context with jobs and running maps, state store, lock and config
+ * @returns {Object} Watchdog with start, stop and check methods
+ */
+function createWatchdog(context = {}) {
+  const watchdogConfig = context.config?.watchdog || {}
+  const interval = parseDuration(watchdogConfig.interval) || 60000
+  const jobNotifiers = notifiers.resolveNotifiers(watchdogConfig.notifiers)
+  let timer = null
+
+  const watchdog = {
+    /**
+     * Check every watched job now
+     * @returns {Promise<Array<Object>>} Alerts sent
+     */
+    async check() {
+      const { jobs = new Map(), state } = context
+      if (!state) return []
+
+      const watched = Array.from(jobs.values()).filter(
+        (job) => job.expectSuccessWithin && !job.paused && !job.expired
+      )
+
+      const alerts = []
+      for (const job of watched) {
+        try {
+          // Only one instance checks (and alerts for) a job at a time
+          const alert = await withLock(
+            `watchdog:${job.name}`,
+            () => checkJob(job, jobNotifiers, context),
+            context
+          )
+          if (alert && !alert.skipped) alerts.push(alert)
+        } catch (err) {
+          if (global.sails) {
+            sails.log.error(`Quest watchdog failed for job "${job.name}":`, err)
+          }
+        }
+      }
+      return alerts
+    },
+
+    /**
+     * Check now and then every `watchdog.interval`
+     */
+    start() {
+      if (timer) return
+      watchdog.check()
+      timer = setInterval(() => watchdog.check(), interval)
+      timer.unref()
+    },
+
+    /**
+     * Stop checking
+     */
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+
+  return watchdog
+}
+
+module.exports = {
+  recordStart,
+  recordSuccess,
+  checkJob,
+  createWatchdog
+}
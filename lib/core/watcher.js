@@ -0,0 +1,256 @@
+/**
+ * core/watcher.js
+ *
+ * Reloads job definitions while the app is running (`config.quest.watch`).
+ * Changed scripts in `scriptsDir` are reloaded one by one, and changes to the
+ * `jobs` in config/quest.js reload the jobs that were added, changed or
+ * removed. Runs in progress are left alone: they finish with the code and
+ * options they started with, and later runs use the new definition.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const loader = require('./loader')
+const expiry = require('./expiry')
+
+// Wait for a burst of file events (editors often write several) to settle
+const DEBOUNCE_MS = 100
+
+// Marks config/quest.js in the set of changed files
+const CONFIG_FILE = Symbol('config')
+
+/**
+ * Create a watcher for job scripts and config/quest.js
+ * @param {Object} context - Context with jobs and timers maps, config and scheduleJob
+ * @returns {Object} Watcher with start, stop and reload methods
+ */
+function createWatcher(context = {}) {
+  const { config = {} } = context
+  const appPath = config.appPath || process.cwd()
+  const scriptsPath = path.resolve(appPath, config.scriptsDir || 'scripts')
+  const configPath = path.resolve(appPath, 'config', 'quest.js')
+
+  const watchers = []
+  const changed = new Set()
+  let debounceTimer = null
+
+  const queue = (file) => {
+    changed.add(file)
+    clearTimeout(debounceTimer)
+    debounceTimer = setTimeout(() => watcher.reload(), DEBOUNCE_MS)
+  }
+
+  // Watch directories rather than files, since editors often save by
+  // replacing the file, which ends a watch on the file itself
+  const watchDir = (dir, onChange) => {
+    try {
+      const fsWatcher = fs.watch(dir, (event, filename) => {
+        if (filename && filename.endsWith('.js')) onChange(filename)
+      })
+      fsWatcher.on('error', (err) => {
+        if (global.sails) {
+          sails.log.warn(`Quest stopped watching ${dir}:`, err.message)
+        }
+      })
+      watchers.push(fsWatcher)
+    } catch (err) {
+      if (global.sails) {
+        sails.log.verbose(`Quest could not watch ${dir}:`, err.message)
+      }
+    }
+  }
+
+  const watcher = {
+    /**
+     * Start watching for changes
+     */
+    start() {
+      if (watchers.length) return
+
+      watchDir(scriptsPath, (filename) => queue(filename.replace(/\.js$/, '')))
+      watchDir(path.dirname(configPath), (filename) => {
+        if (filename === path.basename(configPath)) queue(CONFIG_FILE)
+      })
+
+      if (global.sails) {
+        sails.log.info(`Quest is watching ${scriptsPath} for job changes`)
+      }
+    },
+
+    /**
+     * Stop watching
+     */
+    stop() {
+      clearTimeout(debounceTimer)
+      changed.clear()
+      for (const fsWatcher of watchers.splice(0)) {
+        fsWatcher.close()
+      }
+    },
+
+    /**
+     * Reload the files that changed since the last reload
+     * @returns {Array<String>} Names of the jobs registered or removed
+     */
+    reload() {
+      const files = Array.from(changed)
+      changed.clear()
+
+      const names = new Set()
+      for (const file of files) {
+        try {
+          const reloaded =
+            file === CONFIG_FILE
+              ? reloadConfig(configPath, context)
+              : reloadScript(file, context)
+          reloaded.forEach((name) => names.add(name))
+        } catch (err) {
+          // Keep the previous definition until the file is fixed
+          if (global.sails) {
+            sails.log.error(
+              `Could not reload ${file === CONFIG_FILE ? 'config/quest.js' : `script "${file}"`}:`,
+              err.message
+            )
+          }
+        }
+      }
+      return Array.from(names)
+    }
+  }
+
+  return watcher
+}
+
+/**
+ * Reload a script's job and reschedule it
+ * @param {String} scriptName - Script name
+ * @param {Object} context - Context with jobs and timers maps, config and scheduleJob
+ * @returns {Array<String>} Names of the jobs registered or removed
+ */
+function reloadScript(scriptName, context = {}) {
+  const { jobs = new Map(), timers = new Map(), config = {} } = context
+
+  const previous = snapshot(jobs, timers)
+  const { job, removed } = loader.reloadScript(scriptName, config, jobs, timers)
+
+  for (const name of removed) {
+    if (global.sails) {
+      sails.log.info(`Job "${name}" removed (script "${scriptName}" changed)`)
+    }
+  }
+
+  if (!job) return removed
+
+  restart(job, previous.get(job.name), context)
+  return [job.name, ...removed]
+}
+
+/**
+ * Reload the jobs in config/quest.js that were added, changed or removed
+ * Only `jobs` is reloaded; other settings still need the app to be lifted again
+ * @param {String} configPath - Absolute path of config/quest.js
+ * @param {Object} context - Context with jobs and timers maps, config and scheduleJob
+ * @returns {Array<String>} Names of the jobs registered or removed
+ */
+function reloadConfig(configPath, context = {}) {
+  const { jobs = new Map(), timers = new Map(), config = {} } = context
+
+  delete require.cache[configPath]
+  const fresh = fs.existsSync(configPath)
+    ? (require(configPath).quest || {}).jobs || []
+    : []
+
+  // Compare definitions by name to find the jobs that changed (ignoring the
+  // scriptInputs the loader adds to config jobs)
+  const toMap = (list) =>
+    new Map(
+      list.map((def) => {
+        if (typeof def === 'string') return [def, JSON.stringify({ name: def })]
+        const { scriptInputs, ...rest } = def
+        return [def.name, JSON.stringify(rest)]
+      })
+    )
+  const before = toMap(config.jobs || [])
+  const after = toMap(fresh)
+  const names = Array.from(new Set([...before.keys(), ...after.keys()])).filter(
+    (name) => before.get(name) !== after.get(name)
+  )
+
+  config.jobs = fresh
+
+  const scriptsPath = path.resolve(
+    config.appPath || process.cwd(),
+    config.scriptsDir || 'scripts'
+  )
+
+  const reloaded = []
+  for (const name of names) {
+    // Script jobs merge their config, so reload them through the script
+    if (fs.existsSync(path.join(scriptsPath, `${name}.js`))) {
+      reloaded.push(...reloadScript(name, context))
+      continue
+    }
+
+    const def = loader.findConfigJob(name, config)
+    const existing = jobs.get(name)
+    if (!def) {
+      if (existing && !existing.dynamic) {
+        loader.removeJob(name, jobs, timers)
+        reloaded.push(name)
+      }
+      continue
+    }
+
+    const previous = snapshot(jobs, timers)
+    const job = loader.addJobDefinition(def, jobs, config)
+    restart(job, previous.get(name), context)
+    reloaded.push(name)
+  }
+
+  return reloaded
+}
+
+/**
+ * Capture the runtime state of the registered jobs before they are replaced
+ * @param {Map} jobs - Jobs map
+ * @param {Map} timers - Timers map
+ * @returns {Map} Job name to { job, scheduled }
+ */
+function snapshot(jobs, timers) {
+  const states = new Map()
+  for (const [name, job] of jobs) {
+    states.set(name, { job, scheduled: timers.has(name) })
+  }
+  return states
+}
+
+/**
+ * Carry a job's runtime state over to its new definition and reschedule it
+ * @param {Object} job - New job
+ * @param {Object} previous - { job, scheduled } before the reload (if it existed)
+ * @param {Object} context - Context with config and scheduleJob
+ */
+function restart(job, previous, context = {}) {
+  const { config = {}, scheduleJob } = context
+
+  if (previous) {
+    job.paused = previous.job.paused
+    job.runCount = previous.job.runCount
+    // Stay quiet about jobs that are still expired; raised bounds bring them back
+    job.expired = previous.job.expired && expiry.getExpiryReason(job) !== null
+  }
+
+  if (global.sails) {
+    sails.log.info(`Job "${job.name}" ${previous ? 'reloaded' : 'added'}`)
+  }
+
+  // Reschedule as on lift, and always replace a pending timer so it doesn't
+  // fire with the old schedule
+  if (config.autoStart || (previous && previous.scheduled)) {
+    scheduleJob(job.name)
+  }
+}
+
+module.exports = {
+  createWatcher
+}
@@ -9,6 +9,17 @@ const scheduler = require('./core/scheduler')
 const executor = require('./core/executor')
 const loader = require('./core/loader')
 const jobControl = require('./core/job-control')
+const history = require('./core/history')
+const lock = require('./core/lock')
+const state = require('./core/state')
+const concurrency = require('./core/concurrency')
+const dispatch = require('./core/dispatch')
+const scheduled = require('./core/scheduled')
+const watcher = require('./core/watcher')
+const admin = require('./core/admin')
+const runs = require('./core/runs')
+const metrics = require('./core/metrics')
+const watchdog = require('./core/watchdog')
 
 module.exports = function defineQuestHook(sails) {
   const jobs = new Map()
@@ -23,7 +34,20 @@ module.exports = function defineQuestHook(sails) {
     config: null, // Will be set after sails.config is available
     scheduleJob: null, // Will be set after function is defined
     executeJob: null, // Will be set after function is defined
-    getNextRunTime: null // Will be set after config is available
+    triggerDownstream: null, // Will be set after function is defined
+    getNextRunTime: null, // Will be set after config is available
+    historyModel: null, // Will be set after the ORM has loaded
+    lock: null, // Will be set after the ORM has loaded
+    lockOwner: lock.createOwner(),
+    state: null, // Will be set after the ORM has loaded
+    limiter: null, // Will be set after config is available
+    dispatchStore: null, // Will be set after the ORM has loaded
+    dispatchWorker: null, // Will be set after the ORM has loaded
+    scheduledStore: null, // Will be set after the ORM has loaded
+    pool: null, // Created on the first pooled run
+    watcher: null, // Set after the jobs have loaded when config.watch is on
+    metrics: null, // Will be set after config is available
+    watchdog: null // Set after the jobs have loaded
   }
 
   return {
@@ -32,23 +56,292 @@ module.exports = function defineQuestHook(sails) {
         // Whether to start jobs automatically
         autoStart: true,
 
-        // Timezone for cron expressions
+        // Timezone for cron expressions and text schedules like 'at 10:00 am'
         timezone: 'UTC',
 
+        // How intervals repeat: 'fixed-rate' runs on a fixed grid (anchored to
+        // a job's `startAt`, or to lift), 'fixed-delay' waits the interval after each run finishes
+        intervalMode: 'fixed-rate',
+
         // Prevent overlapping runs by default
         withoutOverlapping: true,
 
+        // Number of times to retry a failed run before giving up
+        retries: 0,
+
+        // Delay between retries: 'fixed', 'linear', 'exponential', or
+        // { type, delay, maxDelay, jitter }
+        backoff: { type: 'exponential', delay: '1 second', jitter: 0 },
+
+        // Kill runs that take longer than this (ms or human-readable, null for no limit)
+        maxRuntime: null,
+
+        // Time to wait after SIGTERM before sending SIGKILL to a timed out or
+        // cancelled run
+        gracePeriod: '10 seconds',
+
+        // What to do with runs still in progress when Sails lowers
+        shutdown: {
+          // 'leave' them, 'wait' for them (cancelling any left after
+          // `timeout`), or 'cancel' them
+          runs: 'leave',
+
+          // How long to wait with runs: 'wait' (ms or human-readable)
+          timeout: '30 seconds'
+        },
+
         // Path to sails executable
         sailsPath: './node_modules/.bin/sails',
 
+        // Maximum number of runs executing at once across all jobs (null for
+        // no limit); runs over the limit wait in a queue
+        concurrency: null,
+
+        // Limits for named groups of jobs, e.g. { reports: 2 } with
+        // `group: 'reports'` on each job
+        groups: {},
+
+        // Run jobs via `sails run` ('process'), inside this app ('inline'),
+        // or on a pool of pre-loaded worker processes ('pool')
+        executionMode: 'process',
+
+        // Worker pool used by executionMode: 'pool'
+        pool: {
+          // Maximum number of workers, and so of concurrent pooled runs
+          size: 2,
+
+          // Replace a worker after it has run this many jobs
+          maxJobsPerWorker: 100,
+
+          // Replace a worker once its memory (RSS) grows past this many MB
+          maxMemory: 512
+        },
+
+        // Output from job processes
+        output: {
+          // Pipe stdout/stderr through sails.log instead of sharing the terminal
+          capture: true,
+
+          // Log output lines with a [job-name] prefix (false to only keep them for events)
+          log: true,
+
+          // sails.log levels for stdout and stderr lines
+          level: 'info',
+          errorLevel: 'warn',
+
+          // Characters of stdout and of stderr kept per run for event payloads
+          maxBuffer: 1024 * 1024
+        },
+
         // Environment to run jobs in (e.g., 'console' for minimal Sails lift)
         environment: 'console',
 
         // Directory containing job scripts
         scriptsDir: 'scripts',
 
+        // Reload jobs when scripts or config/quest.js change (for development)
+        watch: false,
+
         // Jobs defined in config
-        jobs: []
+        jobs: [],
+
+        // Named lists of days jobs can skip with `calendar`, e.g. public
+        // holidays: a list of 'YYYY-MM-DD' dates, or { dates, ics } where `ics`
+        // is the path of an ICS file relative to the app
+        calendars: {},
+
+        // Runs missed while the app was down: 'none', 'once' or 'all'
+        catchUp: 'none',
+
+        // Maximum number of missed runs to catch up with catchUp: 'all'
+        catchUpLimit: 10,
+
+        // Where per-job state (like the last run time used by catchUp) is kept
+        state: {
+          // 'file', 'memory', 'database', or a custom store object
+          adapter: 'file',
+
+          // JSON file for the file adapter, relative to the app
+          path: '.tmp/quest-state.json',
+
+          // Identity of an app model to use instead of the built-in `questjobstate` model
+          model: null,
+
+          // Datastore for the built-in model (defaults to the app's default datastore)
+          datastore: null
+        },
+
+        // Where one-off jobs created with sails.quest.schedule() are kept
+        scheduled: {
+          // 'file', 'memory', 'database', or a custom store object
+          adapter: 'file',
+
+          // JSON file for the file adapter, relative to the app
+          path: '.tmp/quest-scheduled.json',
+
+          // Identity of an app model to use instead of the built-in `questscheduledjob` model
+          model: null,
+
+          // Datastore for the built-in model (defaults to the app's default datastore)
+          datastore: null
+        },
+
+        // Queue for background runs started with sails.quest.dispatch()
+        dispatch: {
+          // 'file', 'memory', 'database', or a custom store object. Defaults to
+          // 'file' for a single instance and to 'database' when lock.adapter
+          // shares locks between instances
+          adapter: null,
+
+          // JSON file for the file adapter (single instance only), relative to the app
+          path: '.tmp/quest-dispatch.json',
+
+          // Claim and run dispatched entries on this instance
+          worker: true,
+
+          // Dispatched entries run at once by this instance
+          concurrency: 1,
+
+          // How often to check for due entries
+          pollInterval: '1 second',
+
+          // Runs before an entry is moved to the dead letters
+          maxAttempts: 3,
+
+          // Delay before a failed entry is run again
+          backoff: { type: 'exponential', delay: '10 seconds' },
+
+          // How long a claimed entry stays reserved without being renewed,
+          // after which another instance may pick it up
+          visibilityTimeout: '5 minutes',
+
+          // Identity of an app model to use instead of the built-in `questdispatch` model
+          model: null,
+
+          // Datastore for the built-in model (defaults to the app's default datastore)
+          datastore: null
+        },
+
+        // Persist one record per execution to a Waterline model
+        history: {
+          enabled: false,
+
+          // Identity of an app model to use instead of the built-in `questrun` model
+          model: null,
+
+          // Datastore for the built-in model (defaults to the app's default datastore)
+          datastore: null,
+
+          // Delete records older than this (ms or human-readable, null to keep forever)
+          retention: '30 days'
+        },
+
+        // Prometheus metrics for job runs
+        metrics: {
+          enabled: true,
+
+          // Serve the metrics at this path, e.g. '/metrics' (null for no route;
+          // sails.quest.metrics() returns them either way)
+          route: null,
+
+          // async (req) => Boolean to protect the route (null to allow every request)
+          authorize: null,
+
+          // Buckets of the run duration histogram, in seconds
+          buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 1800, 3600]
+        },
+
+        // Alerts for jobs with expectSuccessWithin that haven't succeeded in time
+        watchdog: {
+          enabled: true,
+
+          // How often to check (ms or human-readable)
+          interval: '1 minute',
+
+          // Functions called with each alert, or { type: 'webhook', url, headers }
+          notifiers: []
+        },
+
+        // HTTP API and dashboard for seeing and controlling jobs
+        admin: {
+          enabled: false,
+
+          // Where the dashboard and API are mounted
+          prefix: '/quest',
+
+          // async (req) => Boolean; requests are denied unless this or
+          // `policies` are set and allow them
+          authorize: null,
+
+          // App policies to run first, e.g. ['is-super-admin']
+          policies: []
+        },
+
+        // Make sure only one Sails instance runs each scheduled job
+        lock: {
+          // 'memory', 'database', 'redis', a custom adapter object, or null to disable
+          adapter: null,
+
+          // How long a lock is held before it must be renewed
+          ttl: '30 seconds',
+
+          // Prefix for lock keys
+          prefix: 'quest:lock:',
+
+          // Identity of an app model to use instead of the built-in `questlock` model
+          model: null,
+
+          // Datastore for the built-in model (defaults to the app's default datastore)
+          datastore: null,
+
+          // ioredis-compatible client for the redis adapter
+          client: null
+        }
+      }
+    },
+
+    // Filled in by configure() when the admin routes are enabled
+    routes: {
+      before: {}
+    },
+
+    configure: function () {
+      const shutdownRuns = sails.config.quest.shutdown.runs
+      if (!['leave', 'wait', 'cancel'].includes(shutdownRuns)) {
+        throw new Error(
+          `Invalid quest.shutdown.runs "${shutdownRuns}". Use one of: leave, wait, cancel`
+        )
+      }
+
+      // Models must be registered before the ORM loads
+      history.registerModel(sails.config)
+      lock.registerModel(sails.config)
+      state.registerModel(sails.config)
+      dispatch.registerModel(sails.config)
+      scheduled.registerModel(sails.config)
+
+      const metricsConfig = sails.config.quest.metrics
+      if (metricsConfig.enabled && metricsConfig.route) {
+        Object.assign(
+          this.routes.before,
+          metrics.buildRoute(metricsConfig, context)
+        )
+      }
+
+      const adminConfig = sails.config.quest.admin
+      if (adminConfig.enabled) {
+        if (
+          !adminConfig.authorize &&
+          ![].concat(adminConfig.policies || []).length
+        ) {
+          sails.log.warn(
+            'Quest admin routes are enabled without admin.authorize or admin.policies, so every request will be denied'
+          )
+        }
+        Object.assign(
+          this.routes.before,
+          admin.buildRoutes(adminConfig, context)
+        )
       }
     },
 
@@ -61,7 +354,33 @@ module.exports = function defineQuestHook(sails) {
         context.getNextRunTime = (job) =>
           scheduler.getNextRunTime(job, sails.config.quest)
         context.scheduleJob = (name) => jobControl.scheduleJob(name, context)
-        context.executeJob = (name, customInputs) => {
+        context.cancel = (target, options = {}) =>
+          runs.cancel(running, target, {
+            graceMs:
+              scheduler.parseDuration(context.config.gracePeriod) ?? 10000,
+            ...options
+          })
+        context.historyModel = history.resolveModel(
+          sails.config.quest.history,
+          sails.models
+        )
+        context.lock = lock.createAdapter(sails.config.quest.lock, sails.models)
+        context.state = state.createStore(sails.config.quest, sails.models)
+        context.limiter = concurrency.createLimiter(sails.config.quest)
+        if (sails.config.quest.metrics.enabled) {
+          context.metrics = metrics.createCollector(sails.config.quest.metrics)
+        }
+        context.scheduledStore = scheduled.createStore(
+          sails.config.quest,
+          sails.models
+        )
+        context.dispatchStore = dispatch.createStore(
+          sails.config.quest,
+          sails.models
+        )
+        context.triggerDownstream = (name, outcome) =>
+          jobControl.triggerDownstream(name, outcome, context)
+        context.executeJob = (name, customInputs, options) => {
           const job = jobs.get(name)
           if (!job) {
             // Try to run as a regular script without quest config
@@ -70,17 +389,43 @@ module.exports = function defineQuestHook(sails) {
               withoutOverlapping: false,
               inputs: {}
             }
-            return executor.executeJob(name, minimalJob, customInputs, context)
+            return executor.executeJob(
+              name,
+              minimalJob,
+              customInputs,
+              context,
+              options
+            )
           }
-          return executor.executeJob(name, job, customInputs, context)
+          return executor.executeJob(name, job, customInputs, context, options)
         }
 
+        const pruneTimer = history.startPruning(context)
+
         // Load jobs from scripts and config
-        await loader.loadJobs(sails.config.quest, jobs)
+        await loader.loadJobs(sails.config.quest, jobs, context.scheduledStore)
+
+        // Process dispatched runs on this instance
+        if (sails.config.quest.dispatch.worker) {
+          context.dispatchWorker = dispatch.createWorker(context)
+          context.dispatchWorker.start()
+        }
 
         // Start all jobs if autoStart is enabled
         if (sails.config.quest.autoStart) {
-          await jobControl.startJobs(null, context)
+          await jobControl.startJobs(null, context, { catchUp: true })
+        }
+
+        // Reload jobs when their scripts or config/quest.js change
+        if (sails.config.quest.watch) {
+          context.watcher = watcher.createWatcher(context)
+          context.watcher.start()
+        }
+
+        // Alert when jobs with expectSuccessWithin are overdue
+        if (sails.config.quest.watchdog.enabled) {
+          context.watchdog = watchdog.createWatchdog(context)
+          context.watchdog.start()
         }
 
         // Expose the Quest API
@@ -121,12 +466,71 @@ module.exports = function defineQuestHook(sails) {
           list: () => Array.from(jobs.values()),
           get: (name) => jobs.get(name),
           isRunning: (name) => running.has(name),
+          running: (name) =>
+            runs.listRuns(running, name).map((run) => ({ ...run })),
+          cancel: (target, options) => {
+            if (!runs.findRun(running, target) && !jobs.has(target)) {
+              throw new Error(`No job or run in progress "${target}"`)
+            }
+            return context.cancel(target, options)
+          },
+          preview: (job, count) => {
+            const resolved =
+              typeof job === 'string'
+                ? jobs.get(job)
+                : loader.addJobDefinition(
+                    { name: 'preview', ...job },
+                    new Map(),
+                    context.config
+                  )
+            if (!resolved) {
+              throw new Error(`Job "${job}" not found`)
+            }
+            return scheduler.previewSchedule(resolved, context.config, count)
+          },
+          poolStats: () => (context.pool ? context.pool.stats() : null),
+          queueStats: () => context.limiter.stats(),
 
           // Pause/resume
           pause: (name) => jobControl.pauseJob(name, jobs),
-          resume: (name) => jobControl.resumeJob(name, jobs)
+          resume: (name) => jobControl.resumeJob(name, jobs),
+
+          // One-off jobs created at runtime
+          schedule: (script, options) =>
+            scheduled.schedule(script, options, context),
+          unschedule: (id) => scheduled.unschedule(id, context),
+
+          // Background runs
+          dispatch: (name, inputs, options) =>
+            dispatch.dispatch(name, inputs, options, context),
+          dispatchStats: () => dispatch.getStats(context),
+          deadLetters: (options = {}) =>
+            context.dispatchStore.list('dead', options.limit),
+
+          // Run history
+          history: (name, options) =>
+            history.getHistory(name, options, context),
+
+          // Prometheus text format metrics
+          metrics: () => metrics.render(context)
         }
 
+        sails.on('lower', () => {
+          clearInterval(pruneTimer)
+          if (context.watcher) {
+            context.watcher.stop()
+          }
+          if (context.watchdog) {
+            context.watchdog.stop()
+          }
+          if (context.dispatchWorker) {
+            context.dispatchWorker.stop()
+          }
+          if (context.pool) {
+            context.pool.close()
+          }
+        })
+
         sails.log.info(`Quest started with ${jobs.size} scheduled job(s)`)
       })
 
@@ -135,6 +539,30 @@ module.exports = function defineQuestHook(sails) {
         sails.log.info('Stopping Quest jobs...')
         await jobControl.stopJobs(null, context)
       })
+
+      // Sails doesn't wait for 'lower' listeners, but it does wait for
+      // beforeShutdown, so runs in progress are drained there
+      const shutdownConfig = sails.config.quest.shutdown
+      if (shutdownConfig.runs !== 'leave') {
+        const beforeShutdown = sails.config.beforeShutdown
+        sails.config.beforeShutdown = (done) => {
+          // Start nothing new while draining
+          jobControl.stopJobs(null, context)
+          if (context.dispatchWorker) {
+            context.dispatchWorker.stop()
+          }
+
+          runs
+            .drain(running, {
+              wait: shutdownConfig.runs === 'wait',
+              timeout: scheduler.parseDuration(shutdownConfig.timeout) ?? 30000,
+              graceMs:
+                scheduler.parseDuration(context.config.gracePeriod) ?? 10000
+            })
+            .catch((err) => sails.log.error('Could not stop Quest runs:', err))
+            .then(() => (beforeShutdown ? beforeShutdown(done) : done()))
+        }
+      }
     }
   }
 }
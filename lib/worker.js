@@ -0,0 +1,71 @@
+/**
+ * worker.js
+ *
+ * Entry point for pooled worker processes. Loads the Sails app once (without
+ * Quest, so workers never schedule jobs themselves) and then runs scripts sent
+ * by the parent over IPC.
+ *
+ * Usage: fork(worker.js, [scriptsDir]) from the app directory
+ */
+
+const inline = require('./core/inline')
+const tracing = require('./core/tracing')
+
+const scriptsDir = process.argv[2] || 'scripts'
+const appPath = process.cwd()
+
+const Sails = require(
+  require.resolve('sails', { paths: [appPath] })
+).constructor
+const app = new Sails()
+
+app.load({ appPath, hooks: { quest: false } }, (err) => {
+  if (err) {
+    console.error('Quest worker failed to load Sails:', err)
+    return process.exit(1)
+  }
+  process.send({ type: 'ready' })
+})
+
+process.on('message', async (message) => {
+  if (!message || message.type !== 'run') return
+
+  const { id, name, inputs, runId, traceContext } = message
+
+  // Workers run one script at a time, so the run ID can live in the environment
+  if (runId) {
+    process.env.QUEST_RUN_ID = runId
+  }
+
+  try {
+    // Continue the run's trace so the script's spans join it
+    const output = await tracing.withRemoteContext(traceContext, () =>
+      inline.runInline(name, inputs, { appPath, scriptsDir })
+    )
+    process.send({
+      type: 'result',
+      id,
+      output,
+      rss: process.memoryUsage().rss
+    })
+  } catch (err) {
+    process.send({
+      type: 'error',
+      id,
+      error: {
+        message: err.message,
+        stack: err.stack,
+        exit: err.exit,
+        retryable: err.retryable
+      },
+      rss: process.memoryUsage().rss
+    })
+  } finally {
+    delete process.env.QUEST_RUN_ID
+  }
+})
+
+// Shut down when the parent goes away
+process.on('disconnect', () => {
+  app.lower(() => process.exit(0))
+})
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const admin = require('../lib/core/admin')
+
+/**
+ * Call an admin route with a stand-in request and response
+ * @param {Function} handler - Route handler
+ * @param {Object} req - Request values
+ * @returns {Promise<Object>} { status, body }
+ */
+function call(handler, req = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body })
+      },
+      set() {},
+      send(body) {
+        resolve({ status: this.statusCode, body })
+      }
+    }
+    handler({ params: {}, query: {}, headers: {}, ...req }, res)
+  })
+}
+
+describe('admin CSRF protection', () => {
+  const job = { name: 'report', paused: false }
+  const context = {
+    config: {},
+    jobs: new Map([['report', job]]),
+    timers: new Map(),
+    running: new Map()
+  }
+  const routes = admin.buildRoutes({ authorize: () => true }, context)
+  const pause = routes['POST /quest/api/jobs/:name/pause']
+  const params = { name: 'report' }
+
+  it('rejects POSTs without a token', async () => {
+    const session = {}
+    const { status } = await call(pause, { method: 'POST', params, session })
+    assert.equal(status, 403)
+    assert.equal(job.paused, false)
+  })
+
+  it('rejects POSTs with the wrong token', async () => {
+    const session = { questCsrfToken: 'right' }
+    const { status } = await call(pause, {
+      method: 'POST',
+      params,
+      session,
+      headers: { 'x-csrf-token': 'wrong' }
+    })
+    assert.equal(status, 403)
+    assert.equal(job.paused, false)
+  })
+
+  it('accepts the session token in a header or the body', async () => {
+    const session = {}
+    const token = await call(routes['GET /quest/api/csrf-token'], {
+      method: 'GET',
+      session
+    })
+    const { _csrf } = token.body
+    assert.equal(typeof _csrf, 'string')
+
+    const paused = await call(pause, {
+      method: 'POST',
+      params,
+      session,
+      headers: { 'x-csrf-token': _csrf }
+    })
+    assert.equal(paused.status, 200)
+    assert.equal(job.paused, true)
+
+    const resumed = await call(routes['POST /quest/api/jobs/:name/resume'], {
+      method: 'POST',
+      params,
+      session,
+      body: { _csrf }
+    })
+    assert.equal(resumed.status, 200)
+    assert.equal(job.paused, false)
+  })
+
+  it('puts the token in the dashboard', async () => {
+    const session = {}
+    const { body } = await call(routes['GET /quest'], {
+      method: 'GET',
+      session
+    })
+    assert.ok(body.includes(JSON.stringify(session.questCsrfToken)))
+  })
+
+  it('lets requests with an Authorization header through', async () => {
+    const { status } = await call(routes['POST /quest/api/jobs/:name/stop'], {
+      method: 'POST',
+      params,
+      headers: { authorization: 'Bearer secret' }
+    })
+    assert.equal(status, 200)
+  })
+})
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const calendar = require('../lib/core/calendar')
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'holidays.ics')
+
+describe('calendar', () => {
+  describe('parseIcs', () => {
+    it('lists the days covered by each event', () => {
+      const days = calendar.parseIcs(fs.readFileSync(FIXTURE, 'utf8'))
+      assert.deepEqual(days, [
+        '2026-05-01', // folded DTSTART line
+        '2026-11-24', // timed event
+        '2026-12-25',
+        '2026-12-31', // two-day event
+        '2027-01-01'
+      ])
+    })
+
+    it('reads files with CRLF line endings', () => {
+      const text = fs.readFileSync(FIXTURE, 'utf8').replace(/\n/g, '\r\n')
+      assert.equal(calendar.parseIcs(text).length, 5)
+    })
+  })
+
+  describe('loadCalendar', () => {
+    it('combines an ICS file with listed dates', () => {
+      const config = {
+        appPath: __dirname,
+        calendars: {
+          holidays: { ics: 'fixtures/holidays.ics', dates: ['2026-12-24'] }
+        }
+      }
+      const days = calendar.loadCalendar('holidays', config)
+      assert.equal(days[0], '2026-12-24')
+      assert.ok(days.includes('2026-12-25'))
+    })
+
+    it('throws for unknown calendars and missing files', () => {
+      assert.throws(
+        () => calendar.loadCalendar('holidays', {}),
+        /"holidays" was not found/
+      )
+      assert.throws(
+        () =>
+          calendar.loadCalendar('holidays', {
+            appPath: __dirname,
+            calendars: { holidays: { ics: 'fixtures/missing.ics' } }
+          }),
+        /Could not read fixtures\/missing\.ics/
+      )
+    })
+  })
+
+  describe('resolveSkipDates', () => {
+    it('merges skipDates and calendars into sorted, unique days', () => {
+      const config = {
+        calendars: { office: ['2026-12-25', '2026-12-28'] }
+      }
+      const days = calendar.resolveSkipDates(
+        {
+          name: 'report',
+          skipDates: ['2026-12-28', new Date('2026-12-24')],
+          calendar: 'office'
+        },
+        config
+      )
+      assert.deepEqual(days, ['2026-12-24', '2026-12-25', '2026-12-28'])
+    })
+
+    it('rejects invalid dates', () => {
+      assert.throws(
+        () =>
+          calendar.resolveSkipDates({ name: 'report', skipDates: ['25.12.'] }),
+        /Invalid date "25\.12\."/
+      )
+    })
+  })
+
+  describe('normalizeWindows', () => {
+    it('converts weekday names into numbers', () => {
+      assert.deepEqual(
+        calendar.normalizeWindows(
+          { start: '22:00', end: '02:00', days: ['fri', 'Saturday'] },
+          'report'
+        ),
+        [{ start: '22:00', end: '02:00', days: [5, 6] }]
+      )
+    })
+
+    it('rejects invalid windows', () => {
+      assert.throws(
+        () =>
+          calendar.normalizeWindows(
+            [{ start: '9:00', end: '10:00' }],
+            'report'
+          ),
+        /Invalid excludeWindows entry/
+      )
+      assert.throws(
+        () =>
+          calendar.normalizeWindows(
+            [{ start: '09:00', end: '10:00', days: ['someday'] }],
+            'report'
+          ),
+        /Invalid excludeWindows day "someday"/
+      )
+    })
+  })
+})
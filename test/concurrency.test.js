@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const os = require('os')
+const concurrency = require('../lib/core/concurrency')
+const executor = require('../lib/core/executor')
+
+/**
+ * Wait for pending promise callbacks to run
+ * @returns {Promise} Resolves on the next turn of the event loop
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+describe('concurrency limiter', () => {
+  it('queues runs over the overall limit', async () => {
+    const limiter = concurrency.createLimiter({ concurrency: 2 })
+    const releaseA = await limiter.acquire('a')
+    await limiter.acquire('b')
+
+    let started = false
+    limiter.acquire('c').then(() => {
+      started = true
+    })
+    await tick()
+    assert.equal(started, false)
+    assert.equal(limiter.stats().queued, 1)
+
+    releaseA()
+    await tick()
+    assert.equal(started, true)
+    assert.equal(limiter.stats().running, 2)
+  })
+
+  it('limits each group without holding up other jobs', async () => {
+    const limiter = concurrency.createLimiter({
+      concurrency: 3,
+      groups: { reports: 1 }
+    })
+    const releaseReport = await limiter.acquire('daily', { group: 'reports' })
+
+    const order = []
+    limiter
+      .acquire('weekly', { group: 'reports' })
+      .then(() => order.push('weekly'))
+    limiter.acquire('email').then(() => order.push('email'))
+    await tick()
+    assert.deepEqual(order, ['email'])
+    assert.deepEqual(limiter.stats().groups.reports, {
+      limit: 1,
+      running: 1,
+      queued: 1
+    })
+
+    releaseReport()
+    await tick()
+    assert.deepEqual(order, ['email', 'weekly'])
+  })
+
+  it('starts higher priority runs first', async () => {
+    const limiter = concurrency.createLimiter({ concurrency: 1 })
+    const release = await limiter.acquire('first')
+
+    const order = []
+    limiter.acquire('low').then((done) => {
+      order.push('low')
+      done()
+    })
+    limiter.acquire('high', { priority: 10 }).then((done) => {
+      order.push('high')
+      done()
+    })
+
+    release()
+    await tick()
+    await tick()
+    assert.deepEqual(order, ['high', 'low'])
+  })
+
+  it('frees a slot only once', async () => {
+    const limiter = concurrency.createLimiter({ concurrency: 1 })
+    const release = await limiter.acquire('a')
+    release()
+    release()
+
+    await limiter.acquire('b')
+    limiter.acquire('c')
+    await tick()
+    assert.equal(limiter.stats().running, 1)
+    assert.equal(limiter.stats().queued, 1)
+  })
+
+  it('rejects invalid limits', () => {
+    assert.throws(() => concurrency.createLimiter({ concurrency: 0 }))
+    assert.throws(() => concurrency.createLimiter({ groups: { a: 'two' } }))
+  })
+})
+
+describe('concurrency slots in the executor', () => {
+  it('releases the slot when a pooled run fails to start', async () => {
+    const limiter = concurrency.createLimiter({ concurrency: 1 })
+    const context = {
+      running: new Map(),
+      limiter,
+      config: { appPath: os.tmpdir(), scriptsDir: 'quest-missing-scripts' }
+    }
+    const job = { name: 'missing', executionMode: 'pool', inputs: {} }
+
+    await assert.rejects(
+      executor.executeJob('missing', job, {}, context),
+      /not found/
+    )
+    assert.equal(limiter.stats().running, 0)
+    assert.equal(context.pool, undefined)
+  })
+})
@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const dispatch = require('../lib/core/dispatch')
+
+let appPath
+
+before(() => {
+  appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-dispatch-'))
+  fs.mkdirSync(path.join(appPath, 'scripts'))
+  fs.writeFileSync(
+    path.join(appPath, 'scripts', 'send-email.js'),
+    'module.exports = { fn: async function () {} }'
+  )
+})
+
+after(() => {
+  fs.rmSync(appPath, { recursive: true, force: true })
+})
+
+/**
+ * Build a pending entry as dispatch() queues it
+ * @param {Object} values - Values to override
+ * @returns {Object} Queue entry
+ */
+function pendingEntry(values = {}) {
+  return {
+    name: 'send-email',
+    inputs: {},
+    priority: 0,
+    status: 'pending',
+    attempts: 0,
+    availableAt: Date.now(),
+    owner: null,
+    reservedUntil: 0,
+    lastError: null,
+    ...values
+  }
+}
+
+for (const adapter of ['memory', 'file']) {
+  describe(`${adapter} dispatch store`, () => {
+    const createStore = (file) =>
+      dispatch.createStore({
+        appPath,
+        dispatch: { adapter, path: `.tmp/${file}.json` }
+      })
+
+    it('claims the highest priority due entry first', async () => {
+      const store = createStore('priority')
+      await store.push(pendingEntry({ inputs: { n: 1 } }))
+      await store.push(pendingEntry({ inputs: { n: 2 }, priority: 5 }))
+      await store.push(pendingEntry({ availableAt: Date.now() + 60000 }))
+
+      assert.deepEqual((await store.claim('a', 1000)).inputs, { n: 2 })
+      assert.deepEqual((await store.claim('a', 1000)).inputs, { n: 1 })
+      assert.equal(await store.claim('a', 1000), null)
+    })
+
+    it('makes a reservation claimable again once it expires', async () => {
+      const store = createStore('expiry')
+      await store.push(pendingEntry())
+
+      const entry = await store.claim('a', 20)
+      assert.equal(await store.claim('b', 1000), null)
+      await new Promise((resolve) => setTimeout(resolve, 30))
+
+      const reclaimed = await store.claim('b', 1000)
+      assert.equal(reclaimed.id, entry.id)
+      assert.equal(await store.ack(entry.id, 'a'), false)
+      assert.equal(await store.ack(entry.id, 'b'), true)
+      assert.equal(await store.count(), 0)
+    })
+
+    it('keeps dead letters out of the queue', async () => {
+      const store = createStore('dead')
+      await store.push(pendingEntry())
+
+      const entry = await store.claim('a', 1000)
+      await store.release(entry.id, 'a', { status: 'dead', attempts: 3 })
+      assert.equal(await store.claim('a', 1000), null)
+
+      const [dead] = await store.list('dead')
+      assert.equal(dead.id, entry.id)
+      assert.equal(dead.owner, null)
+      assert.equal(await store.count('pending'), 0)
+    })
+  })
+}
+
+describe('file dispatch store durability', () => {
+  const config = {
+    appPath,
+    dispatch: { adapter: 'file', path: '.tmp/durable.json' }
+  }
+
+  it('keeps queued entries for the next instance', async () => {
+    const store = dispatch.createStore(config)
+    const pushed = await store.push(pendingEntry({ inputs: { n: 1 } }))
+
+    const restarted = dispatch.createStore(config)
+    assert.equal(await restarted.count('pending'), 1)
+    const claimed = await restarted.claim('b', 1000)
+    assert.equal(claimed.id, pushed.id)
+    assert.deepEqual(claimed.inputs, { n: 1 })
+    await restarted.ack(claimed.id, 'b')
+  })
+
+  it('hands entries held by an instance that died to the next one', async () => {
+    const store = dispatch.createStore(config)
+    await store.push(pendingEntry())
+    await store.claim('dead-instance', 20)
+    await new Promise((resolve) => setTimeout(resolve, 30))
+
+    const restarted = dispatch.createStore(config)
+    const claimed = await restarted.claim('b', 1000)
+    assert.equal(claimed.status, 'reserved')
+    assert.equal(claimed.owner, 'b')
+  })
+})
+
+describe('default dispatch adapter', () => {
+  /**
+   * Register the dispatch model the way the hook's configure step does
+   * @param {Object} quest - Quest configuration
+   * @returns {Boolean} Whether the built-in model was registered
+   */
+  function registersModel(quest) {
+    const sailsConfig = { quest }
+    dispatch.registerModel(sailsConfig)
+    return Boolean(sailsConfig.orm?.moduleDefinitions.models.questdispatch)
+  }
+
+  it('uses the file adapter on a single instance', () => {
+    assert.equal(registersModel({ dispatch: {} }), false)
+    assert.equal(registersModel({ lock: { adapter: 'memory' } }), false)
+  })
+
+  it('uses the database adapter when locks are shared between instances', () => {
+    assert.equal(registersModel({ lock: { adapter: 'database' } }), true)
+    assert.equal(registersModel({ lock: { adapter: 'redis' } }), true)
+    assert.throws(
+      () => dispatch.createStore({ lock: { adapter: 'redis' } }, {}),
+      /Quest model "questdispatch" was not found/
+    )
+  })
+
+  it('keeps an adapter that is set', () => {
+    const quest = {
+      lock: { adapter: 'redis' },
+      dispatch: { adapter: 'memory' }
+    }
+    assert.equal(registersModel(quest), false)
+    assert.equal(typeof dispatch.createStore(quest).claim, 'function')
+  })
+})
+
+describe('dispatch worker', () => {
+  /**
+   * Dispatch one entry and let a worker process it
+   * @param {Function} executeJob - Stand-in for the executor
+   * @returns {Promise<Object>} The dispatch store
+   */
+  async function processOne(executeJob) {
+    const config = {
+      appPath,
+      dispatch: {
+        adapter: 'memory',
+        maxAttempts: 2,
+        backoff: { type: 'fixed', delay: 0 }
+      }
+    }
+    const context = {
+      config,
+      lockOwner: 'worker',
+      dispatchStore: dispatch.createStore(config),
+      executeJob
+    }
+
+    context.dispatchWorker = dispatch.createWorker(context)
+    context.dispatchWorker.start()
+    await dispatch.dispatch('send-email', { to: 'a@b.c' }, {}, context)
+
+    // Let the worker claim and run the entry, then stop it
+    await new Promise((resolve) => setTimeout(resolve, 200))
+    context.dispatchWorker.stop()
+    return context.dispatchStore
+  }
+
+  it('removes entries whose run succeeds', async () => {
+    const calls = []
+    const store = await processOne(async (name, inputs, options) => {
+      calls.push([name, inputs, options.trigger])
+    })
+    assert.deepEqual(calls, [['send-email', { to: 'a@b.c' }, 'dispatch']])
+    assert.equal(await store.count(), 0)
+  })
+
+  it('dead-letters entries that keep failing', async () => {
+    let calls = 0
+    const store = await processOne(async () => {
+      calls++
+      throw new Error('SMTP down')
+    })
+    assert.equal(calls, 2)
+    const [dead] = await store.list('dead')
+    assert.equal(dead.attempts, 2)
+    assert.deepEqual(dead.lastError, { message: 'SMTP down' })
+  })
+
+  it('rejects scripts that do not exist', async () => {
+    await assert.rejects(
+      dispatch.dispatch('missing', {}, {}, { config: { appPath } }),
+      /not found/
+    )
+  })
+})
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const loader = require('../lib/core/loader')
+const state = require('../lib/core/state')
+const scheduler = require('../lib/core/scheduler')
+const executor = require('../lib/core/executor')
+const jobControl = require('../lib/core/job-control')
+const catchUp = require('../lib/core/catch-up')
+const expiry = require('../lib/core/expiry')
+
+const HOUR = 60 * 60 * 1000
+
+let appPath
+
+before(() => {
+  appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-expiry-'))
+  fs.mkdirSync(path.join(appPath, 'scripts'))
+  fs.writeFileSync(
+    path.join(appPath, 'scripts', 'count.js'),
+    'module.exports = { fn: async function () { global.questTestRuns++ } }'
+  )
+})
+
+after(() => {
+  fs.rmSync(appPath, { recursive: true, force: true })
+})
+
+/**
+ * Set up a job the way the hook does, running its script inline
+ * @param {Object} jobDef - Job definition (the script is always `count`)
+ * @returns {Object} Job and context
+ */
+function setup(jobDef) {
+  global.questTestRuns = 0
+
+  const config = { appPath, executionMode: 'inline' }
+  const jobs = new Map()
+  const job = loader.addJobDefinition(
+    { name: 'count', interval: '1 hour', ...jobDef },
+    jobs,
+    config
+  )
+  const context = {
+    jobs,
+    config,
+    running: new Map(),
+    timers: new Map(),
+    state: state.createStore({ state: { adapter: 'memory' } }),
+    getNextRunTime: (job) => scheduler.getNextRunTime(job, config)
+  }
+  context.executeJob = (name, inputs, options) =>
+    executor.executeJob(name, jobs.get(name), inputs, context, options)
+
+  return { job, context }
+}
+
+describe('maxRuns', () => {
+  it('counts scheduled runs and expires the job after the last one', async () => {
+    const { job, context } = setup({ maxRuns: 2 })
+
+    await jobControl.runScheduledJob('count', context)
+    assert.equal(job.expired, false)
+    await jobControl.runScheduledJob('count', context)
+    assert.equal(job.expired, true)
+
+    const result = await jobControl.runScheduledJob('count', context)
+    assert.deepEqual(result, { skipped: true, reason: 'maxRuns' })
+    assert.equal(global.questTestRuns, 2)
+    assert.equal(job.runCount, 2)
+    assert.equal((await context.state.get('count')).runCount, 2)
+  })
+
+  it('does not count runs skipped because the job is paused', async () => {
+    const { job, context } = setup({ maxRuns: 3 })
+    job.paused = true
+
+    for (let i = 0; i < 3; i++) {
+      const result = await jobControl.runScheduledJob('count', context)
+      assert.deepEqual(result, { skipped: true, reason: 'paused' })
+    }
+    assert.equal(job.runCount, 0)
+    assert.equal(job.expired, false)
+    assert.equal((await context.state.get('count')).runCount, 0)
+  })
+
+  it('does not count runs skipped because the job is already running', async () => {
+    const { job, context } = setup({ maxRuns: 1 })
+    context.running.set('count', new Map([['earlier-run', {}]]))
+
+    const result = await jobControl.runScheduledJob('count', context)
+    assert.deepEqual(result, { skipped: true, reason: 'already_running' })
+    assert.equal(job.runCount, 0)
+    assert.equal(job.expired, false)
+
+    context.running.clear()
+    await jobControl.runScheduledJob('count', context)
+    assert.equal(global.questTestRuns, 1)
+    assert.equal(job.expired, true)
+  })
+
+  it('shares the count through the state store', async () => {
+    const { job, context } = setup({ maxRuns: 2 })
+    await context.state.set('count', { runCount: 2 })
+
+    assert.equal(await expiry.claimRun(job, context), false)
+    assert.equal(job.runCount, 2)
+  })
+})
+
+describe('endAt', () => {
+  it('drops runs after endAt', () => {
+    const job = {
+      interval: '1 hour',
+      startAt: '2026-01-01T00:00:00Z',
+      endAt: '2026-01-01T02:00:00Z'
+    }
+    const from = new Date('2026-01-01T00:30:00Z')
+    assert.equal(
+      scheduler.getNextRunTime(job, {}, from).toISOString(),
+      '2026-01-01T01:00:00.000Z'
+    )
+    assert.equal(
+      scheduler.getNextRunTime(job, {}, new Date('2026-01-01T02:00:00Z')),
+      null
+    )
+  })
+
+  it('expires a job whose endAt has passed instead of scheduling it', async () => {
+    const { job, context } = setup({ endAt: new Date(Date.now() - HOUR) })
+    assert.equal(expiry.getExpiryReason(job), 'endAt')
+
+    jobControl.scheduleJob('count', context)
+    assert.equal(job.expired, true)
+    assert.equal(context.timers.has('count'), false)
+  })
+
+  it('expires a job when its next run would fall after endAt', () => {
+    const { job, context } = setup({
+      interval: '1 day',
+      endAt: new Date(Date.now() + HOUR)
+    })
+
+    jobControl.scheduleJob('count', context)
+    assert.equal(job.expired, true)
+    assert.equal(context.timers.has('count'), false)
+  })
+})
+
+describe('catch-up and maxRuns', () => {
+  it('counts caught-up runs and stops at maxRuns', async () => {
+    const { job, context } = setup({ catchUp: 'all', maxRuns: 3 })
+    await context.state.set('count', {
+      lastRunAt: Date.now() - 5.5 * HOUR,
+      runCount: 1
+    })
+
+    const caughtUp = await catchUp.catchUpJob('count', context)
+    assert.equal(caughtUp.length, 2)
+    assert.equal(global.questTestRuns, 2)
+    assert.equal(job.runCount, 3)
+  })
+
+  it('does not count caught-up runs that are skipped', async () => {
+    const { job, context } = setup({ catchUp: 'once', maxRuns: 3 })
+    job.paused = true
+    await context.state.set('count', { lastRunAt: Date.now() - 2.5 * HOUR })
+
+    await catchUp.catchUpJob('count', context)
+    assert.equal(global.questTestRuns, 0)
+    assert.equal(job.runCount, 0)
+  })
+})
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const lock = require('../lib/core/lock')
+
+describe('memory lock adapter', () => {
+  it('lets only one owner hold a key', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    assert.equal(await adapter.acquire('job', 'a', 1000), true)
+    assert.equal(await adapter.acquire('job', 'b', 1000), false)
+    assert.equal(await adapter.acquire('other', 'b', 1000), true)
+  })
+
+  it('lets the owner acquire a key it already holds', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    assert.equal(await adapter.acquire('job', 'a', 1000), true)
+    assert.equal(await adapter.acquire('job', 'a', 1000), true)
+  })
+
+  it('frees a key once its ttl passes', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    await adapter.acquire('job', 'a', 20)
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    assert.equal(await adapter.renew('job', 'a', 1000), false)
+    assert.equal(await adapter.acquire('job', 'b', 1000), true)
+  })
+
+  it('only renews and releases for the owner', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    await adapter.acquire('job', 'a', 1000)
+    assert.equal(await adapter.renew('job', 'b', 1000), false)
+    assert.equal(await adapter.release('job', 'b'), false)
+    assert.equal(await adapter.renew('job', 'a', 1000), true)
+    assert.equal(await adapter.release('job', 'a'), true)
+    assert.equal(await adapter.acquire('job', 'b', 1000), true)
+  })
+})
+
+describe('withLock', () => {
+  it('skips the run while another instance holds the lock', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    const config = { lock: { ttl: 1000 } }
+    await adapter.acquire('quest:lock:job', 'other', 1000)
+
+    let ran = false
+    const result = await lock.withLock(
+      'job',
+      async () => {
+        ran = true
+      },
+      { lock: adapter, lockOwner: 'me', config }
+    )
+    assert.deepEqual(result, { skipped: true, reason: 'locked' })
+    assert.equal(ran, false)
+  })
+
+  it('keeps a short run locked for the rest of the ttl', async () => {
+    const adapter = lock.createAdapter({ adapter: 'memory' })
+    const context = { lock: adapter, lockOwner: 'me', config: {} }
+
+    assert.equal(
+      await lock.withLock('job', async () => 'done', context),
+      'done'
+    )
+    assert.equal(await adapter.acquire('quest:lock:job', 'other', 1000), false)
+    assert.equal(
+      await lock.withLock('job', async () => 'again', context),
+      'again'
+    )
+  })
+})
+
+describe('checkTtl', () => {
+  it('flags intervals that are not longer than the ttl', () => {
+    const config = { lock: { adapter: 'memory', ttl: '30 seconds' } }
+    assert.equal(
+      lock.checkTtl({ name: 'job', interval: '10 seconds' }, config),
+      false
+    )
+    assert.equal(
+      lock.checkTtl({ name: 'job', interval: '5 minutes' }, config),
+      true
+    )
+  })
+})
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const output = require('../lib/core/output')
+
+describe('output capture', () => {
+  let logged
+
+  beforeEach(() => {
+    logged = []
+    global.sails = {
+      log: {
+        info: (line) => logged.push(['info', line]),
+        warn: (line) => logged.push(['warn', line])
+      }
+    }
+  })
+
+  afterEach(() => {
+    delete global.sails
+  })
+
+  it('logs complete lines with the job name', () => {
+    const capture = output.createCapture('report')
+    capture.write('stdout', 'first\nsec')
+    capture.write('stdout', 'ond\r\nthi')
+    capture.write('stderr', Buffer.from('oops\n'))
+    assert.deepEqual(logged, [
+      ['info', '[report] first'],
+      ['info', '[report] second'],
+      ['warn', '[report] oops']
+    ])
+
+    capture.flush()
+    assert.deepEqual(logged.at(-1), ['info', '[report] thi'])
+  })
+
+  it('logs output without newlines in pieces', () => {
+    const capture = output.createCapture('progress', {
+      output: { maxBuffer: 0 }
+    })
+    const chunk = 'x'.repeat(16 * 1024)
+    for (let i = 0; i < 10; i++) {
+      capture.write('stdout', chunk)
+    }
+
+    // 160K characters: two full 64K pieces so far, the rest waits for more
+    assert.deepEqual(
+      logged.map(([, line]) => line.length),
+      ['[progress] '.length + 64 * 1024, '[progress] '.length + 64 * 1024]
+    )
+
+    capture.flush()
+    assert.equal(logged.at(-1)[1], `[progress] ${'x'.repeat(32 * 1024)}`)
+  })
+
+  it('keeps up to maxBuffer characters for events', () => {
+    const capture = output.createCapture('report', {
+      output: { log: false, maxBuffer: 5 }
+    })
+    capture.write('stdout', 'abc\n')
+    capture.write('stdout', 'def\n')
+    assert.deepEqual(capture.getOutput(), {
+      stdout: 'abc\nd',
+      stderr: '',
+      truncated: true
+    })
+    assert.deepEqual(logged, [])
+  })
+})
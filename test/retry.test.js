@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const retry = require('../lib/core/retry')
+const runs = require('../lib/core/runs')
+const executor = require('../lib/core/executor')
+
+describe('backoff delays', () => {
+  const delays = (backoff, attempts = 4) =>
+    Array.from({ length: attempts }, (_, i) =>
+      retry.getBackoffDelay(i + 1, backoff)
+    )
+
+  it('follows the backoff type', () => {
+    assert.deepEqual(
+      delays({ type: 'fixed', delay: 100 }),
+      [100, 100, 100, 100]
+    )
+    assert.deepEqual(
+      delays({ type: 'linear', delay: 100 }),
+      [100, 200, 300, 400]
+    )
+    assert.deepEqual(
+      delays({ type: 'exponential', delay: 100 }),
+      [100, 200, 400, 800]
+    )
+  })
+
+  it('caps delays at maxDelay', () => {
+    assert.deepEqual(
+      delays({ type: 'exponential', delay: '1 second', maxDelay: 3000 }),
+      [1000, 2000, 3000, 3000]
+    )
+  })
+
+  it('takes a bare delay or type', () => {
+    assert.deepEqual(delays(250, 2), [250, 250])
+    assert.deepEqual(delays('5 seconds', 2), [5000, 5000])
+    assert.deepEqual(delays('linear', 2), [1000, 2000])
+  })
+
+  it('keeps jittered delays within range', () => {
+    for (let i = 0; i < 20; i++) {
+      const ms = retry.getBackoffDelay(1, {
+        type: 'fixed',
+        delay: 1000,
+        jitter: true
+      })
+      assert.ok(ms >= 500 && ms <= 1000)
+    }
+  })
+
+  it('rejects invalid settings', () => {
+    assert.throws(
+      () => retry.normalizeBackoff({ type: 'random' }),
+      /Invalid backoff type/
+    )
+    assert.throws(() => retry.normalizeBackoff('soon'), /Invalid backoff/)
+  })
+})
+
+describe('retry loop', () => {
+  let appPath
+
+  before(() => {
+    appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-retry-'))
+    fs.mkdirSync(path.join(appPath, 'scripts'))
+    // Fails until global.questTestFailures runs out, recording when each attempt started
+    fs.writeFileSync(
+      path.join(appPath, 'scripts', 'flaky.js'),
+      `module.exports = {
+        inputs: { hang: { type: 'number' } },
+        fn: async function ({ hang }) {
+          global.questTestAttempts.push(Date.now())
+          if (hang) await new Promise((resolve) => setTimeout(resolve, hang))
+          if (global.questTestFailures-- > 0) {
+            const error = new Error('flaky')
+            error.retryable = global.questTestRetryable
+            throw error
+          }
+          return 'ok'
+        }
+      }`
+    )
+  })
+
+  after(() => {
+    fs.rmSync(appPath, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    global.questTestAttempts = []
+    global.questTestFailures = 0
+    global.questTestRetryable = undefined
+  })
+
+  /**
+   * Set up a flaky inline job that records its history
+   * @param {Object} jobDef - Job options
+   * @returns {Object} Job, context and recorded history
+   */
+  function setup(jobDef) {
+    const recorded = []
+    const job = {
+      name: 'flaky',
+      executionMode: 'inline',
+      withoutOverlapping: true,
+      inputs: {},
+      ...jobDef
+    }
+    const context = {
+      running: new Map(),
+      config: { appPath },
+      historyModel: {
+        create: async (run) => recorded.push(`${run.status}#${run.attempt}`)
+      }
+    }
+    return { job, context, recorded }
+  }
+
+  it('retries with the backoff between attempts', async () => {
+    global.questTestFailures = 2
+    const { job, context, recorded } = setup({
+      retries: 3,
+      backoff: { type: 'exponential', delay: 30 }
+    })
+
+    const outcome = await executor.executeJob('flaky', job, {}, context)
+    assert.equal(outcome.result, 'ok')
+    assert.deepEqual(recorded, ['error#1', 'error#2', 'success#3'])
+
+    const [first, second, third] = global.questTestAttempts
+    assert.ok(second - first >= 25)
+    assert.ok(third - second >= 55)
+  })
+
+  it('gives up after the last retry', async () => {
+    global.questTestFailures = 5
+    const { job, context, recorded } = setup({
+      retries: 1,
+      backoff: { type: 'fixed', delay: 0 }
+    })
+
+    await assert.rejects(
+      executor.executeJob('flaky', job, {}, context),
+      /flaky/
+    )
+    assert.deepEqual(recorded, ['error#1', 'error#2'])
+    assert.equal(context.running.size, 0)
+  })
+
+  it('does not retry errors marked retryable: false', async () => {
+    global.questTestFailures = 1
+    global.questTestRetryable = false
+    const { job, context, recorded } = setup({ retries: 3, backoff: 0 })
+
+    await assert.rejects(
+      executor.executeJob('flaky', job, {}, context),
+      /flaky/
+    )
+    assert.equal(global.questTestAttempts.length, 1)
+    assert.deepEqual(recorded, ['error#1'])
+  })
+
+  it('does not retry an attempt that timed out', async () => {
+    const { job, context, recorded } = setup({
+      retries: 3,
+      backoff: 0,
+      maxRuntime: 20,
+      inputs: { hang: 100 }
+    })
+
+    await assert.rejects(
+      executor.executeJob('flaky', job, {}, context),
+      (err) => err.timedOut === true
+    )
+    assert.equal(global.questTestAttempts.length, 1)
+    assert.deepEqual(recorded, ['timeout#1'])
+  })
+
+  it('stops in the backoff when cancelled, without another attempt', async () => {
+    global.questTestFailures = 5
+    const { job, context, recorded } = setup({ retries: 3, backoff: 5000 })
+
+    const execution = executor.executeJob('flaky', job, {}, context)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await runs.cancel(context.running, 'flaky')
+
+    const outcome = await execution
+    assert.equal(outcome.cancelled, true)
+    assert.equal(outcome.attempts, 1)
+    assert.equal(global.questTestAttempts.length, 1)
+    assert.deepEqual(recorded, ['error#1'])
+  })
+
+  it('is cancelled in the backoff when a drain times out', async () => {
+    global.questTestFailures = 5
+    const { job, context, recorded } = setup({ retries: 3, backoff: 5000 })
+
+    const execution = executor.executeJob('flaky', job, {}, context)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await runs.drain(context.running, { wait: true, timeout: 20 })
+
+    assert.equal((await execution).cancelled, true)
+    assert.equal(global.questTestAttempts.length, 1)
+    assert.deepEqual(recorded, ['error#1'])
+  })
+})
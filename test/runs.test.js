@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const runs = require('../lib/core/runs')
+const executor = require('../lib/core/executor')
+
+describe('run cancellation', () => {
+  it('stops a run as soon as its kill function is registered', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    const cancelled = runs.cancel(running, run.runId, { graceMs: 5 })
+
+    const kills = []
+    runs.setKill(run, (signal, graceMs) => {
+      kills.push([signal, graceMs])
+      runs.endRun(running, run)
+    })
+
+    assert.deepEqual(kills, [['SIGTERM', 5]])
+    assert.deepEqual(await cancelled, [run.runId])
+    assert.equal(running.has('report'), false)
+  })
+
+  it('kills the current attempt with the requested signal', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    const kills = []
+    runs.setKill(run, (signal) => {
+      kills.push(signal)
+      runs.endRun(running, run)
+    })
+
+    await runs.cancel(running, 'report', { signal: 'SIGINT' })
+    assert.deepEqual(kills, ['SIGINT'])
+  })
+
+  it('throws on an unknown signal', () => {
+    const running = new Map()
+    runs.startRun(running, 'report', {})
+    assert.throws(
+      () => runs.cancel(running, 'report', { signal: 'SIGNOPE' }),
+      /Unknown signal "SIGNOPE"/
+    )
+  })
+
+  it('ends a sleep between attempts early', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    const started = Date.now()
+
+    const sleeping = runs.sleep(run, 10000)
+    runs.cancelRun(run)
+    await sleeping
+    assert.ok(Date.now() - started < 1000)
+    await assert.rejects(
+      runs.unlessCancelled(run, Promise.resolve()),
+      (err) => err.cancelled === true
+    )
+  })
+
+  it('keeps a held run in the running map until its code settles', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    let settle
+    runs.holdUntil(
+      run,
+      new Promise((resolve) => {
+        settle = resolve
+      })
+    )
+
+    const released = []
+    runs.afterHold(run, () => released.push('slot'))
+    runs.endRun(running, run)
+    assert.equal(running.has('report'), true)
+    assert.deepEqual(released, [])
+
+    settle()
+    await new Promise((resolve) => setImmediate(resolve))
+    assert.equal(running.has('report'), false)
+    assert.deepEqual(released, ['slot'])
+  })
+})
+
+describe('drain', () => {
+  it('cancels the runs left once the timeout passes', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    const kills = []
+    runs.setKill(run, (signal, graceMs) => {
+      kills.push([signal, graceMs])
+      runs.endRun(running, run)
+    })
+
+    const started = Date.now()
+    await runs.drain(running, { wait: true, timeout: 30, graceMs: 100 })
+    assert.ok(Date.now() - started >= 25)
+    assert.deepEqual(kills, [['SIGTERM', 100]])
+    assert.equal(running.size, 0)
+  })
+
+  it('does not cancel runs that finish in time', async () => {
+    const running = new Map()
+    const run = runs.startRun(running, 'report', {})
+    const kills = []
+    runs.setKill(run, (signal) => kills.push(signal))
+    setTimeout(() => runs.endRun(running, run), 10)
+
+    await runs.drain(running, { wait: true, timeout: 1000 })
+    assert.deepEqual(kills, [])
+  })
+})
+
+describe('cancelling an inline run', () => {
+  let appPath
+
+  before(() => {
+    appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-runs-'))
+    fs.mkdirSync(path.join(appPath, 'scripts'))
+    fs.writeFileSync(
+      path.join(appPath, 'scripts', 'slow.js'),
+      'module.exports = { fn: async function () { await new Promise((resolve) => setTimeout(resolve, 100)) } }'
+    )
+  })
+
+  after(() => {
+    fs.rmSync(appPath, { recursive: true, force: true })
+  })
+
+  it('keeps the job running until the inline code settles', async () => {
+    const job = {
+      name: 'slow',
+      executionMode: 'inline',
+      withoutOverlapping: true,
+      inputs: {}
+    }
+    const context = { running: new Map(), config: { appPath } }
+    const execution = executor.executeJob('slow', job, {}, context)
+
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    await runs.cancel(context.running, 'slow')
+    assert.equal((await execution).cancelled, true)
+
+    // The code is still running, so a new run would overlap it
+    assert.deepEqual(await executor.executeJob('slow', job, {}, context), {
+      skipped: true,
+      reason: 'already_running'
+    })
+
+    await new Promise((resolve) => setTimeout(resolve, 150))
+    assert.equal(context.running.has('slow'), false)
+  })
+})
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const scheduled = require('../lib/core/scheduled')
+const store = require('../lib/core/store')
+
+describe('scheduled jobs', () => {
+  let appPath
+
+  before(() => {
+    appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quest-scheduled-'))
+    fs.mkdirSync(path.join(appPath, 'scripts'))
+    fs.writeFileSync(
+      path.join(appPath, 'scripts', 'report.js'),
+      'module.exports = { fn: async function () {} }'
+    )
+  })
+
+  after(() => {
+    fs.rmSync(appPath, { recursive: true, force: true })
+  })
+
+  /**
+   * Create a context whose store fails to save
+   * @returns {Object} Context with jobs map, scheduledStore and config
+   */
+  function createFailingContext() {
+    return {
+      jobs: new Map(),
+      config: { appPath },
+      scheduledStore: {
+        ...scheduled.createDataStore(store.createMemoryData()),
+        async save() {
+          throw new Error('Database is down')
+        }
+      }
+    }
+  }
+
+  it('saves and registers a job', async () => {
+    const context = {
+      jobs: new Map(),
+      config: { appPath },
+      scheduledStore: scheduled.createDataStore(store.createMemoryData())
+    }
+
+    const record = await scheduled.schedule(
+      'report',
+      { timeout: '1 hour', id: 'report-later' },
+      context
+    )
+
+    assert.equal(record.name, 'report-later')
+    assert.ok(context.jobs.get('report-later').dynamic)
+    assert.deepEqual(
+      (await context.scheduledStore.list()).map((saved) => saved.name),
+      ['report-later']
+    )
+  })
+
+  it('does not register a job that could not be saved', async () => {
+    const context = createFailingContext()
+
+    await assert.rejects(
+      scheduled.schedule('report', { timeout: '1 hour' }, context),
+      /Database is down/
+    )
+    assert.equal(context.jobs.size, 0)
+  })
+
+  it('keeps the job it would have replaced when the save fails', async () => {
+    const context = createFailingContext()
+    const previous = { name: 'report-later', dynamic: true }
+    context.jobs.set('report-later', previous)
+
+    await assert.rejects(
+      scheduled.schedule(
+        'report',
+        { timeout: '1 hour', id: 'report-later' },
+        context
+      ),
+      /Database is down/
+    )
+    assert.equal(context.jobs.get('report-later'), previous)
+  })
+})
@@ -0,0 +1,239 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { getNextRunTime } = require('../lib/core/scheduler')
+const loader = require('../lib/core/loader')
+
+const TIMEZONE = 'Europe/Berlin'
+
+/**
+ * List a job's next run times as ISO strings
+ * @param {Object} job - Job configuration
+ * @param {String} from - Start after this date
+ * @param {Number} count - Number of runs
+ * @returns {Array<String>} Run times
+ */
+function nextRuns(job, from, count) {
+  const times = []
+  let date = new Date(from)
+  for (let i = 0; i < count; i++) {
+    date = getNextRunTime(job, {}, date)
+    times.push(date.toISOString())
+  }
+  return times
+}
+
+describe('scheduler DST handling', () => {
+  describe('when clocks go forward', () => {
+    // 2026-03-29 02:00 CET jumps to 03:00 CEST, so 02:30 doesn't exist
+
+    it('runs a skipped text schedule time once, shifted by the gap', () => {
+      const job = { interval: 'at 2:30 am', timezone: TIMEZONE }
+      assert.deepEqual(nextRuns(job, '2026-03-28T12:00:00Z', 3), [
+        '2026-03-29T01:30:00.000Z', // 03:30 CEST
+        '2026-03-30T00:30:00.000Z', // 02:30 CEST
+        '2026-03-31T00:30:00.000Z'
+      ])
+    })
+
+    it('runs a skipped cron time once, shifted by the gap', () => {
+      const job = { cron: '30 2 * * *', timezone: TIMEZONE }
+      assert.deepEqual(nextRuns(job, '2026-03-28T12:00:00Z', 2), [
+        '2026-03-29T01:30:00.000Z',
+        '2026-03-30T00:30:00.000Z'
+      ])
+    })
+  })
+
+  describe('when clocks go back', () => {
+    // 2026-10-25 03:00 CEST goes back to 02:00 CET, so 02:30 happens twice
+
+    it('runs a repeated text schedule time once, at its first occurrence', () => {
+      const job = { interval: 'at 2:30 am', timezone: TIMEZONE }
+      assert.deepEqual(nextRuns(job, '2026-10-24T12:00:00Z', 3), [
+        '2026-10-25T00:30:00.000Z', // 02:30 CEST
+        '2026-10-26T01:30:00.000Z', // 02:30 CET
+        '2026-10-27T01:30:00.000Z'
+      ])
+    })
+
+    it('does not fire a text schedule again in the repeated hour', () => {
+      const job = { interval: 'at 2:30 am', timezone: TIMEZONE }
+      // Just after the first 02:30, before the second one at 01:30Z
+      assert.deepEqual(nextRuns(job, '2026-10-25T00:45:00Z', 1), [
+        '2026-10-26T01:30:00.000Z'
+      ])
+    })
+
+    it('runs a repeated cron time once, at its first occurrence', () => {
+      const job = { cron: '30 2 * * *', timezone: TIMEZONE }
+      assert.deepEqual(nextRuns(job, '2026-10-24T12:00:00Z', 2), [
+        '2026-10-25T00:30:00.000Z',
+        '2026-10-26T01:30:00.000Z'
+      ])
+    })
+
+    it('keeps the rhythm of frequent cron schedules through the repeated hour', () => {
+      const job = { cron: '*/30 * * * *', timezone: TIMEZONE }
+      assert.deepEqual(nextRuns(job, '2026-10-24T23:45:00Z', 4), [
+        '2026-10-25T00:00:00.000Z', // 02:00 CEST
+        '2026-10-25T00:30:00.000Z', // 02:30 CEST
+        '2026-10-25T01:00:00.000Z', // 02:00 CET
+        '2026-10-25T01:30:00.000Z' // 02:30 CET
+      ])
+    })
+  })
+
+  it('counts durations in elapsed time across a transition', () => {
+    const job = { interval: '1 hour', timezone: TIMEZONE }
+    assert.deepEqual(nextRuns(job, '2026-03-29T00:30:00Z', 2), [
+      '2026-03-29T01:30:00.000Z',
+      '2026-03-29T02:30:00.000Z'
+    ])
+  })
+})
+
+describe('fixed-rate intervals', () => {
+  const addedAt = Date.parse('2026-05-01T10:07:00Z')
+
+  it('counts from when the job was added without a startAt', () => {
+    const job = { interval: '5 minutes', addedAt }
+    assert.deepEqual(nextRuns(job, '2026-05-01T10:07:00Z', 2), [
+      '2026-05-01T10:12:00.000Z',
+      '2026-05-01T10:17:00.000Z'
+    ])
+  })
+
+  it('stays on the grid when a run finishes late', () => {
+    const job = { interval: '5 minutes', addedAt }
+    // A run due at 10:12 that finished at 10:15:30
+    assert.deepEqual(nextRuns(job, '2026-05-01T10:15:30Z', 1), [
+      '2026-05-01T10:17:00.000Z'
+    ])
+  })
+
+  it('counts from startAt when set, whenever the job was added', () => {
+    const job = {
+      interval: '1 hour',
+      startAt: '2026-01-01T00:15:00Z',
+      addedAt
+    }
+    assert.deepEqual(nextRuns(job, '2026-05-01T10:07:00Z', 2), [
+      '2026-05-01T10:15:00.000Z',
+      '2026-05-01T11:15:00.000Z'
+    ])
+  })
+
+  it('runs first at a future startAt', () => {
+    const job = { interval: '1 hour', startAt: '2026-06-01T08:30:00Z', addedAt }
+    assert.deepEqual(nextRuns(job, '2026-05-01T10:07:00Z', 2), [
+      '2026-06-01T08:30:00.000Z',
+      '2026-06-01T09:30:00.000Z'
+    ])
+  })
+
+  it('counts from the previous run in fixed-delay mode', () => {
+    const job = { interval: '5 minutes', intervalMode: 'fixed-delay', addedAt }
+    assert.deepEqual(nextRuns(job, '2026-05-01T10:15:30Z', 1), [
+      '2026-05-01T10:20:30.000Z'
+    ])
+  })
+
+  it('anchors jobs to lift when they are loaded', () => {
+    const before = Date.now()
+    const job = loader.addJobDefinition(
+      { name: 'report', interval: '1 day' },
+      new Map(),
+      {}
+    )
+
+    const next = getNextRunTime(job, {}, new Date()).getTime()
+    assert.ok(next >= before + 86400000 && next <= Date.now() + 86400000)
+  })
+})
+
+describe('skipped days and exclusion windows', () => {
+  const config = {
+    appPath: __dirname,
+    calendars: {
+      holidays: { ics: 'fixtures/holidays.ics', dates: ['2026-12-24'] }
+    }
+  }
+
+  /**
+   * Load a job the way the hook does, resolving its calendars and windows
+   * @param {Object} jobDef - Job definition
+   * @returns {Object} Job
+   */
+  function loadJob(jobDef) {
+    return loader.addJobDefinition(
+      { name: 'report', ...jobDef },
+      new Map(),
+      config
+    )
+  }
+
+  it('skips the days in an ICS calendar', () => {
+    const job = loadJob({ cron: '0 9 * * *', calendar: 'holidays' })
+    assert.deepEqual(nextRuns(job, '2026-12-23T12:00:00Z', 3), [
+      '2026-12-26T09:00:00.000Z', // not on the 24th (dates) or the 25th (ICS)
+      '2026-12-27T09:00:00.000Z',
+      '2026-12-28T09:00:00.000Z'
+    ])
+    // The two-day New Year event skips the 31st and the 1st
+    assert.deepEqual(nextRuns(job, '2026-12-30T12:00:00Z', 1), [
+      '2027-01-02T09:00:00.000Z'
+    ])
+  })
+
+  it('skips days in the job timezone', () => {
+    const job = loadJob({
+      cron: '30 0 * * *',
+      timezone: TIMEZONE,
+      skipDates: ['2026-05-02']
+    })
+    // 00:30 CEST on May 2nd is still May 1st in UTC
+    assert.deepEqual(nextRuns(job, '2026-05-01T12:00:00Z', 1), [
+      '2026-05-02T22:30:00.000Z'
+    ])
+  })
+
+  it('moves clock-based runs to the first slot after a window', () => {
+    const job = loadJob({
+      cron: '*/30 * * * *',
+      excludeWindows: [{ start: '01:00', end: '03:00' }]
+    })
+    assert.deepEqual(nextRuns(job, '2026-05-01T00:15:00Z', 3), [
+      '2026-05-01T00:30:00.000Z',
+      '2026-05-01T03:00:00.000Z',
+      '2026-05-01T03:30:00.000Z'
+    ])
+  })
+
+  it('runs intervals at the end of a window', () => {
+    const job = loadJob({
+      interval: '45 minutes',
+      intervalMode: 'fixed-delay',
+      excludeWindows: [{ start: '12:00', end: '13:00' }]
+    })
+    assert.deepEqual(nextRuns(job, '2026-05-01T11:30:00Z', 2), [
+      '2026-05-01T13:00:00.000Z',
+      '2026-05-01T13:45:00.000Z'
+    ])
+  })
+
+  it('applies windows past midnight to the day they start', () => {
+    // 2026-05-01 is a Friday
+    const job = loadJob({
+      cron: '0 * * * *',
+      timezone: TIMEZONE,
+      excludeWindows: [{ start: '22:00', end: '02:00', days: 'fri' }]
+    })
+    assert.deepEqual(nextRuns(job, '2026-05-01T19:30:00Z', 1), [
+      '2026-05-02T00:00:00.000Z' // Saturday 02:00 CEST
+    ])
+    // Saturday night is not excluded
+    assert.deepEqual(nextRuns(job, '2026-05-02T19:30:00Z', 1), [
+      '2026-05-02T20:00:00.000Z'
+    ])
+  })
+})
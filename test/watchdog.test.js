@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('http')
+const state = require('../lib/core/state')
+const notifiers = require('../lib/core/notifiers')
+const watchdog = require('../lib/core/watchdog')
+
+const HOUR = 60 * 60 * 1000
+
+describe('webhook notifier', () => {
+  let server
+  let url
+  const requests = []
+  let status = 200
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        requests.push({ method: req.method, headers: req.headers, body })
+        res.statusCode = status
+        res.end()
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/hooks/quest`
+  })
+
+  after(() => {
+    server.close()
+  })
+
+  it('POSTs the alert as JSON with a text field', async () => {
+    requests.length = 0
+    const notify = notifiers.createWebhookNotifier({
+      url,
+      headers: { Authorization: 'Bearer token' }
+    })
+    await notify({ event: 'late', name: 'report', message: 'Report is late' })
+
+    const [request] = requests
+    assert.equal(request.method, 'POST')
+    assert.equal(request.headers['content-type'], 'application/json')
+    assert.equal(request.headers.authorization, 'Bearer token')
+    assert.deepEqual(JSON.parse(request.body), {
+      text: 'Report is late',
+      event: 'late',
+      name: 'report',
+      message: 'Report is late'
+    })
+  })
+
+  it('sends a custom body', async () => {
+    requests.length = 0
+    const notify = notifiers.createWebhookNotifier({
+      url,
+      body: (alert) => ({ content: alert.message })
+    })
+    await notify({ event: 'missed', name: 'report', message: 'Not run' })
+    assert.deepEqual(JSON.parse(requests[0].body), { content: 'Not run' })
+  })
+
+  it('rejects when the webhook responds with an error', async () => {
+    status = 500
+    const notify = notifiers.createWebhookNotifier({ url })
+    await assert.rejects(notify({ message: 'x' }), /status 500/)
+    status = 200
+  })
+
+  it('is resolved from { type: webhook } config', () => {
+    const [notify] = notifiers.resolveNotifiers([{ type: 'webhook', url }])
+    assert.equal(typeof notify, 'function')
+    assert.throws(() => notifiers.resolveNotifiers([{ type: 'email' }]))
+  })
+})
+
+describe('watchdog checkJob', () => {
+  const job = { name: 'report', expectSuccessWithin: 24 * HOUR }
+
+  /**
+   * Create a context whose notifier collects alerts
+   * @returns {Object} Context, notifiers and sent alerts
+   */
+  function setup() {
+    const sent = []
+    return {
+      context: { state: state.createStore({ state: { adapter: 'memory' } }) },
+      jobNotifiers: [async (alert) => sent.push(alert)],
+      sent
+    }
+  }
+
+  it('reports a job that did not run as missed, once per period', async () => {
+    const { context, jobNotifiers, sent } = setup()
+    const start = Date.UTC(2026, 0, 1)
+
+    assert.equal(
+      await watchdog.checkJob(job, jobNotifiers, context, start),
+      null
+    )
+    assert.equal(
+      await watchdog.checkJob(job, jobNotifiers, context, start + 23 * HOUR),
+      null
+    )
+
+    const alert = await watchdog.checkJob(
+      job,
+      jobNotifiers,
+      context,
+      start + 25 * HOUR
+    )
+    assert.equal(alert.event, 'missed')
+    assert.equal(alert.lastSuccessAt, null)
+    assert.match(alert.message, /has not run in 1d/)
+
+    // Already reported for this period
+    assert.equal(
+      await watchdog.checkJob(job, jobNotifiers, context, start + 30 * HOUR),
+      null
+    )
+    assert.equal(
+      (await watchdog.checkJob(job, jobNotifiers, context, start + 49 * HOUR))
+        .event,
+      'missed'
+    )
+    assert.equal(sent.length, 2)
+  })
+
+  it('reports a job that ran without succeeding as late', async () => {
+    const { context, jobNotifiers, sent } = setup()
+    const lastSuccessAt = Date.now() - 25 * HOUR
+    await context.state.set(job.name, {
+      lastSuccessAt,
+      lastStartedAt: lastSuccessAt + HOUR
+    })
+
+    const alert = await watchdog.checkJob(job, jobNotifiers, context)
+    assert.equal(alert.event, 'late')
+    assert.equal(alert.lastSuccessAt.getTime(), lastSuccessAt)
+    assert.deepEqual(sent, [alert])
+  })
+
+  it('stays quiet while the job succeeds in time', async () => {
+    const { context, jobNotifiers, sent } = setup()
+    await watchdog.recordSuccess(job, context)
+    assert.equal(await watchdog.checkJob(job, jobNotifiers, context), null)
+    assert.equal(sent.length, 0)
+  })
+
+  it('alerts the webhook of an overdue job end to end', async () => {
+    const bodies = []
+    const server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        bodies.push(JSON.parse(body))
+        res.end()
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+    try {
+      const context = {
+        state: state.createStore({ state: { adapter: 'memory' } }),
+        jobs: new Map([[job.name, job]]),
+        config: {
+          watchdog: {
+            notifiers: [
+              {
+                type: 'webhook',
+                url: `http://127.0.0.1:${server.address().port}/`
+              }
+            ]
+          }
+        }
+      }
+      await context.state.set(job.name, {
+        watchedSince: Date.now() - 25 * HOUR
+      })
+
+      const alerts = await watchdog.createWatchdog(context).check()
+      assert.equal(alerts.length, 1)
+      assert.equal(bodies.length, 1)
+      assert.equal(bodies[0].event, 'missed')
+      assert.equal(bodies[0].name, 'report')
+      assert.equal(bodies[0].text, alerts[0].message)
+    } finally {
+      server.close()
+    }
+  })
+})